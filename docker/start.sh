@@ -32,14 +32,47 @@ fi
 
 echo "✓ MT5 found at: $MT5_DIR"
 
-# Copy MT5 config if exists
+# Load broker credentials from a mounted secret file (KEY=value lines)
+if [ -f "/run/secrets/mt5_credentials" ]; then
+  while IFS='=' read -r key value; do
+    case "$key" in
+      MT5_ACCOUNT|MT5_PASSWORD|MT5_SERVER) export "$key=$value" ;;
+    esac
+  done < /run/secrets/mt5_credentials
+  # The desktop app deletes the file on the host once it sees this
+  echo "✓ Broker credentials loaded"
+fi
+
+# The terminal config lives in memory (tmpfs), never in the persisted Wine
+# prefix, since it may hold the broker password; drop copies older images left
+CONFIG_DIR=/dev/shm/mt5
+CONFIG_FILE="$CONFIG_DIR/mt5cfg.ini"
+rm -f "$MT5_DIR/mt5cfg.ini"
+mkdir -p -m 700 "$CONFIG_DIR"
+
+# Copy MT5 config if exists (the desktop app mounts a generated one per profile)
 if [ -f "/mt5docker/mt5cfg.ini" ]; then
-  cp "/mt5docker/mt5cfg.ini" "$MT5_DIR/" 2>/dev/null || true
+  cp "/mt5docker/mt5cfg.ini" "$CONFIG_FILE" 2>/dev/null || true
+fi
+
+# Apply broker credentials to the terminal config (values never echoed)
+if [ -n "$MT5_ACCOUNT" ] && [ -f "$CONFIG_FILE" ]; then
+  (umask 077 && awk '
+    /^Login=/    { print "Login=" ENVIRON["MT5_ACCOUNT"]; next }
+    /^Password=/ { print "Password=" ENVIRON["MT5_PASSWORD"]; next }
+    /^Server=/   { print "Server=" ENVIRON["MT5_SERVER"]; next }
+    { print }
+  ' "$CONFIG_FILE" > "$CONFIG_FILE.tmp") && mv "$CONFIG_FILE.tmp" "$CONFIG_FILE"
+  echo "✓ Broker login configured"
 fi
 
 # Start MT5 terminal
 cd "$MT5_DIR"
-wine terminal64.exe /config:mt5cfg.ini &
+if [ -f "$CONFIG_FILE" ]; then
+  wine terminal64.exe '/config:Z:\dev\shm\mt5\mt5cfg.ini' &
+else
+  wine terminal64.exe &
+fi
 echo "✓ MT5 terminal starting..."
 
 # Wait for MT5 to be ready
@@ -49,6 +82,8 @@ for i in {1..30}; do
   if pgrep -f "terminal64.exe" > /dev/null; then
     echo "✓ MT5 process detected, waiting for login..."
     sleep 20
+    # Read at launch; don't keep the login around for the container's lifetime
+    rm -f "$CONFIG_FILE"
     MT5_READY=true
     break
   fi
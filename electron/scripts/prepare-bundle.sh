@@ -1,6 +1,8 @@
 #!/bin/bash
 # Prepare bundled resources for MT5 Server installer
-# This script exports the container image and prepares Podman for bundling
+# This script exports the container image(s) and prepares Podman for bundling
+#
+# Usage: ./prepare-bundle.sh [arm64|x86|all]   (default: this machine's architecture)
 
 set -e
 
@@ -21,21 +23,54 @@ ARCH=$(uname -m)
 
 echo "Platform: $PLATFORM ($ARCH)"
 
-# Export container image
+# Architectures to bundle; must match the catalog in src/images.js
+case "${1:-}" in
+    arm64|x86) ARCHES="$1" ;;
+    all)       ARCHES="arm64 x86" ;;
+    "")
+        case "$ARCH" in
+            arm64|aarch64) ARCHES="arm64" ;;
+            *)             ARCHES="x86" ;;
+        esac
+        ;;
+    *)
+        echo "Unknown architecture: $1 (use arm64, x86 or all)"
+        exit 1
+        ;;
+esac
+
+# Export one tar per architecture: mt5-server-<arch>.tar
 echo ""
-echo "[1/2] Exporting container image..."
-IMAGE_NAME="localhost/avyaktha-mt5:eightcap-arm64"
-IMAGE_TAR="$BUNDLED_DIR/mt5-server.tar"
+echo "[1/2] Exporting container image(s): $ARCHES"
+for IMAGE_ARCH in $ARCHES; do
+    IMAGE_NAME="localhost/avyaktha-mt5:eightcap-$IMAGE_ARCH"
+    IMAGE_TAR="$BUNDLED_DIR/mt5-server-$IMAGE_ARCH.tar"
+    if [ "$IMAGE_ARCH" = "arm64" ]; then EXPECTED="arm64"; else EXPECTED="amd64"; fi
+
+    if ! podman image exists "$IMAGE_NAME"; then
+        echo "  ERROR: $IMAGE_NAME not found!"
+        echo "  Please build or pull the image first:"
+        echo "    podman pull docker.io/girishgkg/avyaktha-mt5:$IMAGE_ARCH"
+        echo "    podman tag docker.io/girishgkg/avyaktha-mt5:$IMAGE_ARCH $IMAGE_NAME"
+        exit 1
+    fi
+
+    # A tag pointing at the wrong architecture would be refused by the app
+    ACTUAL=$(podman image inspect --format "{{.Architecture}}" "$IMAGE_NAME")
+    if [ "$ACTUAL" != "$EXPECTED" ]; then
+        echo "  ERROR: $IMAGE_NAME is built for $ACTUAL, expected $EXPECTED"
+        exit 1
+    fi
 
-if podman images --format "{{.Repository}}:{{.Tag}}" | grep -q "avyaktha-mt5"; then
-    echo "  Exporting $IMAGE_NAME to $IMAGE_TAR"
+    echo "  Exporting $IMAGE_NAME ($ACTUAL) to $IMAGE_TAR"
     podman save -o "$IMAGE_TAR" "$IMAGE_NAME"
     echo "  Image size: $(du -h "$IMAGE_TAR" | cut -f1)"
-else
-    echo "  ERROR: Container image not found!"
-    echo "  Please build or pull the image first:"
-    echo "    podman pull docker.io/girishgkg/avyaktha-mt5:arm64"
-    exit 1
+done
+
+# The single-arch tar of older bundles would be shipped alongside
+if [ -f "$BUNDLED_DIR/mt5-server.tar" ]; then
+    echo "  Removing old single-architecture mt5-server.tar"
+    rm -f "$BUNDLED_DIR/mt5-server.tar"
 fi
 
 # Note about Podman bundling
@@ -57,6 +92,17 @@ if [ ! -f "$BUNDLED_DIR/podman-darwin.tar.gz" ]; then
     echo "# Linux: podman-linux.tar.gz" >> "$BUNDLED_DIR/README-podman.txt"
 fi
 
+# Checksums let the installer detect corrupt downloads and changed bundles
+echo ""
+echo "Writing checksums..."
+if command -v sha256sum >/dev/null 2>&1; then
+    SHA256="sha256sum"
+else
+    SHA256="shasum -a 256"
+fi
+(cd "$BUNDLED_DIR" && $SHA256 mt5-server-*.tar podman-*.tar.gz 2>/dev/null > checksums.sha256 || true)
+cat "$BUNDLED_DIR/checksums.sha256"
+
 echo ""
 echo "=========================================="
 echo "  Bundle prepared!"
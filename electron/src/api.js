@@ -0,0 +1,326 @@
+/**
+ * MT5 Server - Control API
+ *
+ * Handles:
+ * 1. A token-protected REST API on 127.0.0.1 for trading systems
+ * 2. Status, start/stop/restart, log tail, health history and config read
+ * 3. A WebSocket channel pushing state-change events
+ * 4. The API token in userData/api-token (owner-only)
+ *
+ * The WebSocket side is the small subset of RFC 6455 a server needs:
+ * the handshake, unfragmented text frames out, ping/pong and close.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const PREFIX = '/api/v1';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11B65';
+const MAX_FRAME = 64 * 1024;
+const PING_INTERVAL = 30000;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Encode one unmasked, unfragmented server frame
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Decode complete client frames from `buffer`; returns { frames, rest }
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+class ControlApi {
+  constructor(options) {
+    this.tokenFile = path.join(options.userDataPath, 'api-token');
+    // { status, profileStatus, control, logs, health, config } supplied by main.js
+    this.handlers = options.handlers;
+    this.server = null;
+    this.port = null;
+    this.clients = new Set();
+    this.pingTimer = null;
+  }
+
+  get running() {
+    return this.server !== null;
+  }
+
+  // Token, created on first use
+  getToken() {
+    try {
+      const token = fs.readFileSync(this.tokenFile, 'utf8').trim();
+      if (token) return token;
+    } catch {
+      // No token yet
+    }
+    return this.regenerateToken();
+  }
+
+  // Replace the token; open WebSocket clients must reconnect with the new one
+  regenerateToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true });
+    fs.writeFileSync(this.tokenFile, `${token}\n`, { mode: 0o600 });
+    this.clients.forEach(socket => socket.end(encodeFrame(0x8)));
+    return token;
+  }
+
+  // Start, restart on another port, or stop to match { enabled, port }
+  async configure(settings) {
+    if (this.running && (!settings.enabled || settings.port !== this.port)) {
+      await this.stop();
+    }
+    if (settings.enabled && !this.running) {
+      await this.start(settings.port);
+    }
+  }
+
+  start(port) {
+    this.getToken();
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      // Loopback only; the token is the only other line of defence
+      server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        this.server = server;
+        this.port = port;
+        this.pingTimer = setInterval(() => this.clients.forEach(s => s.write(encodeFrame(0x9))), PING_INTERVAL);
+        console.log(`Control API listening on http://127.0.0.1:${port}${PREFIX}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    clearInterval(this.pingTimer);
+    this.clients.forEach(socket => socket.destroy());
+    this.clients.clear();
+
+    const server = this.server;
+    this.server = null;
+    this.port = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  // Push an event to every WebSocket client
+  broadcast(type, data = {}) {
+    if (this.clients.size === 0) return;
+    const frame = encodeFrame(0x1, Buffer.from(JSON.stringify({ type, time: new Date().toISOString(), ...data })));
+    this.clients.forEach(socket => socket.write(frame));
+  }
+
+  // Bearer header, or ?token= for WebSocket clients that can't set headers
+  authorize(req, url) {
+    // A page on another site can make the browser resolve its host to 127.0.0.1
+    const host = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!['127.0.0.1', 'localhost', '[::1]'].includes(host)) {
+      throw new ApiError(403, 'Forbidden host');
+    }
+
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token') || '';
+    const givenBytes = Buffer.from(given);
+    const expectedBytes = Buffer.from(this.getToken());
+    const ok = givenBytes.length === expectedBytes.length && crypto.timingSafeEqual(givenBytes, expectedBytes);
+    if (!ok) throw new ApiError(401, 'Invalid or missing token');
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    try {
+      this.authorize(req, url);
+      const body = await this.route(req.method, url);
+      this.send(res, 200, body);
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 500) console.error(`Control API ${req.method} ${url.pathname}: ${err.message}`);
+      this.send(res, status, { error: err.message });
+    }
+  }
+
+  async route(method, url) {
+    if (!url.pathname.startsWith(PREFIX)) throw new ApiError(404, 'Not found');
+    const parts = url.pathname.slice(PREFIX.length).split('/').filter(Boolean);
+    const { handlers } = this;
+
+    // GET /status
+    if (parts.length === 1 && parts[0] === 'status') {
+      this.expect(method, 'GET');
+      return handlers.status();
+    }
+    // GET /health?profile=&limit=
+    if (parts.length === 1 && parts[0] === 'health') {
+      this.expect(method, 'GET');
+      return handlers.health(url.searchParams.get('profile'), this.limit(url, 'limit', 100, 1000));
+    }
+    // GET /config
+    if (parts.length === 1 && parts[0] === 'config') {
+      this.expect(method, 'GET');
+      return handlers.config();
+    }
+
+    if (parts[0] === 'profiles' && parts[1]) {
+      let profileId;
+      try {
+        profileId = decodeURIComponent(parts[1]);
+      } catch {
+        throw new ApiError(400, 'Malformed profile id');
+      }
+      // GET /profiles/:id
+      if (parts.length === 2) {
+        this.expect(method, 'GET');
+        return this.found(await handlers.profileStatus(profileId));
+      }
+      // GET /profiles/:id/logs?lines=
+      if (parts.length === 3 && parts[2] === 'logs') {
+        this.expect(method, 'GET');
+        return this.found(handlers.logs(profileId, this.limit(url, 'lines', 200, 2000)));
+      }
+      // POST /profiles/:id/start|stop|restart
+      if (parts.length === 3 && ['start', 'stop', 'restart'].includes(parts[2])) {
+        this.expect(method, 'POST');
+        return this.found(await handlers.control(profileId, parts[2]));
+      }
+    }
+
+    throw new ApiError(404, 'Not found');
+  }
+
+  expect(method, allowed) {
+    if (method !== allowed) throw new ApiError(405, `Use ${allowed}`);
+  }
+
+  // Handlers return null for unknown profiles
+  found(result) {
+    if (result === null || result === undefined) throw new ApiError(404, 'Profile not found');
+    return result;
+  }
+
+  limit(url, name, fallback, max) {
+    const value = url.searchParams.has(name) ? Number(url.searchParams.get(name)) : fallback;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new ApiError(400, `${name} must be between 1 and ${max}`);
+    }
+    return value;
+  }
+
+  send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store'
+    });
+    res.end(json);
+  }
+
+  // GET /events as a WebSocket
+  handleUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const reject = (status, message) => {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n${message}`);
+    };
+
+    try {
+      this.authorize(req, url);
+    } catch (err) {
+      return reject(err.status, err.message);
+    }
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== `${PREFIX}/events` || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      return reject(404, 'Not found');
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    this.clients.add(socket);
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      if (pending.length > MAX_FRAME) return socket.destroy();
+      for (const frame of frames) {
+        if (frame.opcode === 0x8) {
+          socket.end(encodeFrame(0x8));
+        } else if (frame.opcode === 0x9) {
+          socket.write(encodeFrame(0xA, frame.payload));
+        }
+        // Client messages carry no commands; REST is the control surface
+      }
+    });
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+
+    // Current state right away, so clients need no extra status call
+    Promise.resolve(this.handlers.status())
+      .then(status => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'hello', time: new Date().toISOString(), ...status })))))
+      .catch(() => {});
+  }
+}
+
+ControlApi.PREFIX = PREFIX;
+ControlApi.encodeFrame = encodeFrame;
+ControlApi.decodeFrames = decodeFrames;
+
+module.exports = ControlApi;
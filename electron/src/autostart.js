@@ -0,0 +1,76 @@
+/**
+ * MT5 Server - Start at Login
+ *
+ * Handles:
+ * 1. Registering the app as a login item: Electron's login items on macOS
+ *    and Windows, an XDG autostart entry on Linux
+ * 2. Passing --hidden so a login launch stays in the tray
+ * 3. Telling whether this launch came from the login item
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const HIDDEN_FLAG = '--hidden';
+
+// XDG autostart directory ($XDG_CONFIG_HOME/autostart)
+function autostartDir() {
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'autostart');
+}
+
+// Quote an Exec argument per the Desktop Entry spec
+function quoteExec(arg) {
+  return /[\s"'\\$`]/.test(arg) ? `"${arg.replace(/(["\\$`])/g, '\\$1')}"` : arg;
+}
+
+class AutoStart {
+  constructor(app) {
+    this.app = app;
+    this.desktopFile = path.join(autostartDir(), 'mt5-server.desktop');
+  }
+
+  // Executable and arguments that launch this app; unpackaged runs need the app path
+  command() {
+    // An AppImage's execPath points into its temporary mount
+    const exe = process.env.APPIMAGE || process.execPath;
+    return { exe, args: this.app.isPackaged ? [] : [this.app.getAppPath()] };
+  }
+
+  apply({ enabled, hidden }) {
+    const { exe, args } = this.command();
+    const loginArgs = hidden ? [...args, HIDDEN_FLAG] : args;
+
+    if (process.platform === 'linux') {
+      if (enabled) {
+        fs.mkdirSync(path.dirname(this.desktopFile), { recursive: true });
+        fs.writeFileSync(this.desktopFile, [
+          '[Desktop Entry]',
+          'Type=Application',
+          'Name=MT5 Server',
+          'Comment=MT5 container for remote trading',
+          `Exec=${[exe, ...loginArgs].map(quoteExec).join(' ')}`,
+          'Terminal=false',
+          'X-GNOME-Autostart-enabled=true',
+          ''
+        ].join('\n'));
+      } else {
+        fs.rmSync(this.desktopFile, { force: true });
+      }
+      return;
+    }
+
+    // `path`/`args` are used on Windows; macOS can't pass arguments to login items
+    this.app.setLoginItemSettings({ openAtLogin: enabled, path: exe, args: loginArgs });
+  }
+
+  // Launched by the login item in hidden mode (macOS reports the login launch itself)
+  isHiddenLaunch(argv, hidden) {
+    if (argv.includes(HIDDEN_FLAG)) return true;
+    return process.platform === 'darwin' && hidden && this.app.getLoginItemSettings().wasOpenedAtLogin === true;
+  }
+}
+
+AutoStart.HIDDEN_FLAG = HIDDEN_FLAG;
+
+module.exports = AutoStart;
@@ -0,0 +1,167 @@
+/**
+ * MT5 Server - Broker Catalog
+ *
+ * Handles:
+ * 1. Known brokers: display name, trade server names and installer
+ * 2. The image variant each broker is built as (see docker/build_local.sh)
+ * 3. Generating a profile's mt5cfg.ini (proxy, AutoTrading and Expert settings)
+ * 4. Writing it to userData/terminal for mounting into the container at start
+ *
+ * The generated file never holds the broker password: start.sh fills in
+ * Login, Password and Server from the stored Broker Login when it starts.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { REPOSITORY, archKey } = require('./images');
+
+// `flavor` is the image tag prefix build_local.sh gives the broker's build
+const BROKERS = {
+  eightcap: {
+    name: 'Eightcap',
+    flavor: 'eightcap',
+    servers: ['EightcapGlobal-Live', 'EightcapGlobal-Demo'],
+    installer: 'https://download.mql5.com/cdn/web/eightcap.global.limited/mt5/eightcapglobal5setup.exe'
+  },
+  metaquotes: {
+    name: 'MetaQuotes (demo)',
+    flavor: 'metaquotes',
+    servers: ['MetaQuotes-Demo'],
+    installer: 'https://download.mql5.com/cdn/web/metaquotes.software.corp/mt5/mt5setup.exe'
+  },
+  exness: {
+    name: 'Exness',
+    flavor: 'exness',
+    servers: ['Exness-MT5Real', 'Exness-MT5Trial'],
+    installer: 'https://download.mql5.com/cdn/web/exness.technologies.ltd/mt5/exnessmt5setup.exe'
+  },
+  xm: {
+    name: 'XM',
+    flavor: 'xm',
+    servers: ['XMGlobal-MT5', 'XMGlobal-MT5 2', 'XMGlobal-MT5 Demo'],
+    installer: 'https://download.mql5.com/cdn/web/xm.com/mt5/xmmt5setup.exe'
+  }
+};
+
+const DEFAULT_BROKER = 'eightcap';
+
+// start.sh copies this to tmpfs (/dev/shm/mt5) before launching MT5, never to
+// the persistent Wine prefix, since its copy gets the broker login filled in
+const CONFIG_MOUNT = '/mt5docker/mt5cfg.ini';
+
+// mt5cfg.ini's ProxyType values
+const PROXY_TYPES = { socks4: 0, socks5: 1, http: 2 };
+
+// Same settings the static docker/mt5cfg.ini used to set
+const TERMINAL_DEFAULTS = {
+  autoTrading: true,
+  allowDllImport: false,
+  disableOnAccountChange: false,
+  disableOnProfileChange: false,
+  news: false,
+  maxBars: 200000,
+  proxy: { enabled: false, type: 'socks5', address: '', login: '' }
+};
+
+// Catalog key of a profile's broker; profiles from before the catalog are Eightcap
+function brokerOf(profile) {
+  return Object.keys(BROKERS).includes(profile.broker) ? profile.broker : DEFAULT_BROKER;
+}
+
+// Image of a broker's build for a host architecture
+function imageFor(broker, arch = process.arch) {
+  return `${REPOSITORY}:${BROKERS[broker].flavor}-${archKey(arch)}`;
+}
+
+// [{ id, name, servers, flavor, installer }] for Settings
+function listBrokers() {
+  return Object.entries(BROKERS).map(([id, broker]) => ({ id, ...broker }));
+}
+
+// A profile's terminal settings with defaults filled in
+function terminalSettings(profile) {
+  const terminal = profile.terminal || {};
+  return {
+    ...TERMINAL_DEFAULTS,
+    ...terminal,
+    proxy: { ...TERMINAL_DEFAULTS.proxy, ...(terminal.proxy || {}) }
+  };
+}
+
+const flag = value => (value ? 1 : 0);
+
+// mt5cfg.ini text for a profile. With `login` the Login/Password/Server lines
+// are left for start.sh to fill in; without, the terminal keeps its last login.
+function renderConfig(profile, options = {}) {
+  const terminal = terminalSettings(profile);
+  const { proxy } = terminal;
+  const lines = [
+    `; Generated by MT5 Server for "${String(profile.name).replace(/\s+/g, ' ')}" (${BROKERS[brokerOf(profile)].name}).`,
+    '; Change it in Settings; edits here are replaced at the next start.',
+    '[Common]'
+  ];
+  if (options.login) {
+    lines.push('Login=', 'Password=', 'Server=');
+  }
+  lines.push(`ProxyEnable=${flag(proxy.enabled)}`);
+  if (proxy.enabled) {
+    lines.push(
+      `ProxyType=${PROXY_TYPES[proxy.type]}`,
+      `ProxyAddress=${proxy.address}`,
+      `ProxyLogin=${proxy.login || ''}`
+    );
+  }
+  lines.push(
+    `NewsEnable=${flag(terminal.news)}`,
+    '',
+    '[Charts]',
+    `MaxBars=${terminal.maxBars}`,
+    'SelectOneClick=1',
+    '',
+    '[Experts]',
+    `Enabled=${flag(terminal.autoTrading)}`,
+    `AllowDllImport=${flag(terminal.allowDllImport)}`,
+    `Account=${flag(terminal.disableOnAccountChange)}`,
+    `Profile=${flag(terminal.disableOnProfileChange)}`,
+    'Chart=0',
+    'Api=0',
+    '',
+    '[Events]',
+    'Enable=0',
+    `NewsEnable=${flag(terminal.news)}`,
+    ''
+  );
+  return lines.join('\n');
+}
+
+function configPath(userDataPath, profileId) {
+  return path.join(userDataPath, 'terminal', `${profileId}.ini`);
+}
+
+// Write a profile's mt5cfg.ini; returns its path for the bind mount
+function writeConfig(userDataPath, profile, options = {}) {
+  const file = configPath(userDataPath, profile.id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, renderConfig(profile, options));
+  return file;
+}
+
+function removeConfig(userDataPath, profileId) {
+  fs.rmSync(configPath(userDataPath, profileId), { force: true });
+}
+
+module.exports = {
+  BROKERS,
+  DEFAULT_BROKER,
+  CONFIG_MOUNT,
+  PROXY_TYPES,
+  TERMINAL_DEFAULTS,
+  brokerOf,
+  imageFor,
+  listBrokers,
+  terminalSettings,
+  renderConfig,
+  configPath,
+  writeConfig,
+  removeConfig
+};
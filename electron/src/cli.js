@@ -0,0 +1,616 @@
+#!/usr/bin/env node
+/**
+ * MT5 Server - Headless CLI
+ *
+ * Handles:
+ * 1. start|stop|restart|status|logs|install|doctor without any windows
+ * 2. Human-readable or --json output, and exit codes scripts can rely on
+ * 3. Running in the foreground under systemd
+ *
+ * Runs on plain Node (or the app binary with ELECTRON_RUN_AS_NODE=1) and
+ * shares profiles, settings and install state with the desktop app.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const ConfigStore = require('./config');
+const ProfileStore = require('./profiles');
+const CredentialStore = require('./credentials');
+const SilentInstaller = require('./installer');
+const VolumeManager = require('./volumes');
+const ContainerManager = require('./containers');
+const Doctor = require('./doctor');
+const { getContainerInfo } = require('./container-info');
+const { formatConflicts, findFreePorts } = require('./ports');
+const { runtimeCommand, SshTunnel } = require('./remote');
+const { splitCommand } = require('./runtime');
+const { writeConfig } = require('./brokers');
+
+// LSB init-script conventions, so systemd and shell scripts read them naturally
+const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_RUNNING: 3
+};
+
+// How long `status` waits for a remote profile's tunnel before reporting its ports down
+const TUNNEL_TIMEOUT = 20000;
+
+const COMMANDS = ['start', 'stop', 'restart', 'status', 'logs', 'install', 'doctor'];
+
+const USAGE = `Usage: mt5-server <command> [profile...] [options]
+
+Commands:
+  start [profile...]     Start containers and wait until MT5 is ready
+  stop [profile...]      Stop containers
+  restart [profile...]   Restart containers
+  status [profile...]    Show container state (exit code 3 if any is stopped)
+  logs [profile]         Print container logs
+  install                Run first-time setup (resumes an interrupted one)
+  doctor                 Check runtime, engine, install state, images and ports
+
+Profiles are given by id or name; without one, start/stop/restart use the
+default profile and status uses all of them.
+
+Options:
+  --all                  Act on every profile
+  --json                 Print a JSON result on stdout
+  --no-wait              start/restart: don't wait for readiness
+  --foreground           start: stay attached, stop on SIGTERM (for systemd)
+  --free-ports           start/restart: move profiles whose ports are taken
+  -f, --follow           logs: keep following
+  --tail <n>             logs: only the last n lines
+  --repair               install: re-verify every step and fix drift
+  --bundle <file.zip>    doctor: also write a redacted support bundle
+  --data-dir <path>      App data directory (default: the desktop app's)
+  -h, --help             Show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = { targets: [], json: false, all: false, wait: true, foreground: false, freePorts: false, follow: false, tail: null, repair: false, bundle: null, dataDir: null };
+  const args = [...argv];
+
+  while (args.length > 0) {
+    const arg = args.shift();
+    switch (arg) {
+      case '--json': options.json = true; break;
+      case '--all': options.all = true; break;
+      case '--no-wait': options.wait = false; break;
+      case '--foreground': options.foreground = true; break;
+      case '--free-ports': options.freePorts = true; break;
+      case '-f':
+      case '--follow': options.follow = true; break;
+      case '--repair': options.repair = true; break;
+      case '-h':
+      case '--help': options.help = true; break;
+      case '--tail': {
+        const value = Number(args.shift());
+        if (!Number.isInteger(value) || value < 0) throw new UsageError('--tail needs a number of lines');
+        options.tail = value;
+        break;
+      }
+      case '--bundle':
+        options.bundle = args.shift();
+        if (!options.bundle) throw new UsageError('--bundle needs a file name');
+        options.bundle = path.resolve(options.bundle);
+        break;
+      case '--data-dir':
+        options.dataDir = args.shift();
+        if (!options.dataDir) throw new UsageError('--data-dir needs a path');
+        break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+        if (!options.command) {
+          options.command = arg;
+        } else {
+          options.targets.push(arg);
+        }
+    }
+  }
+
+  if (!options.help && !COMMANDS.includes(options.command)) {
+    throw new UsageError(options.command ? `Unknown command: ${options.command}` : 'No command given');
+  }
+  return options;
+}
+
+// Where Electron keeps the desktop app's userData
+function defaultUserDataPath() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+  const appName = pkg.productName || pkg.name;
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'darwin':
+      return path.join(home, 'Library', 'Application Support', appName);
+    case 'win32':
+      return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), appName);
+    default:
+      return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), appName);
+  }
+}
+
+// Packaged apps keep bundled/ next to the app folder in resources/
+function installerPaths(userDataPath) {
+  const appPath = path.join(__dirname, '..');
+  const packaged = path.join(appPath, '..', 'bundled');
+  return {
+    appPath,
+    userDataPath,
+    bundledPath: fs.existsSync(packaged) ? packaged : path.join(appPath, 'bundled')
+  };
+}
+
+// Env var for a profile: MT5_ACCOUNT for the default profile, MT5_<ID>_ACCOUNT for others
+function profileEnv(profile, name) {
+  const prefix = profile.id === ProfileStore.DEFAULT_PROFILE_ID
+    ? 'MT5_'
+    : `MT5_${profile.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  return process.env[prefix + name];
+}
+
+// Secrets come from the environment (e.g. a systemd EnvironmentFile); the
+// encrypted store is only readable where the desktop app's keychain is
+function createSecrets(credentials) {
+  return (profile) => {
+    const vncVariable = profile.id === ProfileStore.DEFAULT_PROFILE_ID ? 'MT5_VNC_PASSWORD' : 'its VNC_PASSWORD variable';
+    let vncPassword = profileEnv(profile, 'VNC_PASSWORD');
+    if (!vncPassword) {
+      try {
+        vncPassword = credentials.getVncPassword(profile.id);
+      } catch (err) {
+        console.warn(`${profile.name}: ${err.message}; set ${vncVariable}`);
+      }
+    }
+    if (!vncPassword && !profile.vncPassword) {
+      // Not saved anywhere: without secure storage it would end up in plain text
+      console.warn(`${profile.name}: no VNC password; VNC is locked with a random one until ${vncVariable} is set`);
+      vncPassword = CredentialStore.generateVncPassword();
+    }
+
+    const secrets = { env: { VNC_PWD: vncPassword || profile.vncPassword }, args: [] };
+    const login = {};
+    for (const name of Object.values(CredentialStore.ENV_KEYS)) {
+      login[name] = profileEnv(profile, name.replace(/^MT5_/, ''));
+    }
+    if (Object.values(login).every(Boolean)) {
+      Object.keys(login).forEach(name => secrets.args.push('-e', name));
+      Object.assign(secrets.env, login);
+    } else if (credentials.has(profile.id)) {
+      const secretEnv = credentials.toEnv(profile.id); // Throws outside Electron
+      Object.keys(secretEnv).forEach(name => secrets.args.push('-e', name));
+      Object.assign(secrets.env, secretEnv);
+    }
+    return secrets;
+  };
+}
+
+// Generated mt5cfg.ini for a local profile; Login/Password/Server are only
+// left for start.sh when createSecrets can pass a login
+function terminalConfig(userDataPath, credentials, profile) {
+  if (profile.remote) return null;
+  const envLogin = Object.values(CredentialStore.ENV_KEYS)
+    .every(name => profileEnv(profile, name.replace(/^MT5_/, '')));
+  const login = envLogin || (credentials.has(profile.id) && credentials.isEncryptionAvailable());
+  return writeConfig(userDataPath, profile, { login });
+}
+
+function createContext(options) {
+  const userDataPath = options.dataDir || process.env.MT5_SERVER_DATA || defaultUserDataPath();
+  fs.mkdirSync(userDataPath, { recursive: true });
+
+  const config = new ConfigStore(userDataPath);
+  config.load();
+  config.notices.forEach(notice => console.warn(`${notice.message} Set "${notice.key}" back to "${notice.from}" in ${config.file} to undo it.`));
+  const profiles = new ProfileStore(userDataPath, { defaultImage: ContainerManager.DEFAULT_IMAGE });
+  profiles.load();
+  const credentials = new CredentialStore(userDataPath);
+
+  const context = { userDataPath, config, profiles, credentials, runtime: null, tunnels: new Map() };
+  context.installer = new SilentInstaller((progress) => {
+    if (progress.step !== 'error') report(progress.message);
+  }, { runtime: config.get().runtime, machine: config.get().machine, paths: installerPaths(userDataPath) });
+  context.volumes = new VolumeManager({ getRuntime: profile => runtimeFor(context, profile) });
+  context.containers = new ContainerManager({
+    getRuntime: profile => runtimeFor(context, profile),
+    getSettings: () => config.get(),
+    volumes: context.volumes,
+    getSecrets: createSecrets(credentials),
+    releaseSecrets: (profile) => credentials.removeSecretFile(profile.id),
+    getTerminalConfig: profile => terminalConfig(userDataPath, credentials, profile),
+    getTunnelPorts: profile => tunnelPorts(context, profile)
+  });
+  return context;
+}
+
+// Runtime command for a profile; remote profiles drive their host's engine over SSH
+function runtimeFor(context, profile) {
+  if (!context.runtime) return null;
+  return profile && profile.remote ? runtimeCommand(context.runtime, profile.remote) : context.runtime.bin;
+}
+
+// Forward a remote profile's ports to local ports for as long as this command runs
+function openTunnel(context, profile) {
+  if (!profile.remote || context.tunnels.has(profile.id)) return;
+  const tunnel = new SshTunnel(profile.remote, profile.ports);
+  tunnel.on('state', (state, error) => {
+    if (state === 'open') {
+      const local = tunnel.localPorts;
+      report(`${profile.name}: tunnel to ${profile.remote.host} open on local ports ` +
+        `noVNC ${local.novnc}, VNC ${local.vnc}, RPyC ${local.rpyc}`);
+    }
+    if (state === 'down') report(`${profile.name}: tunnel to ${profile.remote.host} down: ${error}`);
+  });
+  context.tunnels.set(profile.id, tunnel);
+  tunnel.open();
+}
+
+// Open a remote profile's tunnel; resolves whether it came up within the timeout
+function awaitTunnel(context, profile) {
+  openTunnel(context, profile);
+  const tunnel = context.tunnels.get(profile.id);
+  if (tunnel.state === 'open') return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const done = (open) => {
+      clearTimeout(timer);
+      tunnel.removeListener('state', onState);
+      resolve(open);
+    };
+    const onState = (state) => {
+      if (state === 'open' || state === 'down') done(state === 'open');
+    };
+    const timer = setTimeout(() => done(false), TUNNEL_TIMEOUT);
+    tunnel.on('state', onState);
+  });
+}
+
+// Local ports of a remote profile's open tunnel, or null
+function tunnelPorts(context, profile) {
+  const tunnel = context.tunnels.get(profile.id);
+  return tunnel && tunnel.state === 'open' ? tunnel.localPorts : null;
+}
+
+function closeTunnels(context) {
+  context.tunnels.forEach(tunnel => tunnel.close());
+  context.tunnels.clear();
+}
+
+// Progress and diagnostics go to stderr so stdout stays parseable
+function report(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+// Profiles named on the command line (id or name), else the given default
+function selectProfiles(context, options, fallback) {
+  const all = context.profiles.list();
+  if (options.all) return all;
+  if (options.targets.length === 0) return fallback === 'all' ? all : [context.profiles.get(ProfileStore.DEFAULT_PROFILE_ID)];
+
+  return options.targets.map((target) => {
+    const profile = all.find(p => p.id === target || p.name.toLowerCase() === target.toLowerCase());
+    if (!profile) throw new UsageError(`Unknown profile: ${target} (have: ${all.map(p => p.id).join(', ')})`);
+    return profile;
+  });
+}
+
+// Runtime, engine and image, like the desktop app on startup
+async function prepareRuntime(context) {
+  if (!context.installer.isInstalled()) {
+    throw new Error('MT5 Server is not installed. Run `mt5-server install` first.');
+  }
+  context.runtime = await context.installer.getRuntime();
+  await context.installer.ensureMachineRunning();
+  await context.installer.ensureImageLoaded();
+}
+
+// Move a profile to free ports if something else holds its own
+async function movePorts(context, profile) {
+  const conflicts = await context.containers.checkPorts(profile);
+  if (conflicts.length === 0) return;
+  report(formatConflicts(conflicts));
+  const ports = await findFreePorts(reserved => context.profiles.allocatePorts(profile.id, reserved),
+    context.config.get().publishAddress);
+  context.profiles.update(profile.id, { ports });
+  report(`${profile.name}: moved to ports noVNC ${ports.novnc}, VNC ${ports.vnc}, RPyC ${ports.rpyc}`);
+}
+
+async function startProfiles(context, options, targets) {
+  const results = [];
+  for (const profile of targets) {
+    report(`Starting ${profile.name}...`);
+    // A remote profile's ports are bound on its host, so there's nothing to move here
+    if (options.freePorts && !profile.remote && !(await context.containers.check(profile))) {
+      await movePorts(context, profile);
+    }
+    const result = { id: profile.id, name: profile.name, ok: await context.containers.start(profile) };
+    if (!result.ok) {
+      result.error = context.containers.lastError(profile) || 'Container failed to start';
+    } else if (options.wait) {
+      openTunnel(context, profile);
+      try {
+        await context.containers.waitForReady(profile, p => report(`${profile.name}: ${p.message}`));
+      } catch (err) {
+        result.ok = false;
+        result.error = err.message;
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+const commands = {
+  async start(context, options) {
+    const targets = selectProfiles(context, options, 'default');
+    await prepareRuntime(context);
+    const results = await startProfiles(context, options, targets);
+    const ok = results.every(r => r.ok);
+
+    if (options.foreground && ok) {
+      targets.forEach(profile => openTunnel(context, profile));
+      return runForeground(context, targets);
+    }
+    return {
+      code: ok ? EXIT.OK : EXIT.FAILED,
+      json: { profiles: results },
+      text: results.map(r => r.ok ? `${r.name}: running` : `${r.name}: ${r.error}`)
+    };
+  },
+
+  async stop(context, options) {
+    const targets = selectProfiles(context, options, 'default');
+    context.runtime = await context.installer.getRuntime();
+    const results = [];
+    for (const profile of targets) {
+      report(`Stopping ${profile.name}...`);
+      const running = await context.containers.check(profile);
+      const ok = !running || await context.containers.stop(profile);
+      results.push({ id: profile.id, name: profile.name, ok, ...(ok ? {} : { error: 'Stop failed' }) });
+    }
+    return {
+      code: results.every(r => r.ok) ? EXIT.OK : EXIT.FAILED,
+      json: { profiles: results },
+      text: results.map(r => r.ok ? `${r.name}: stopped` : `${r.name}: ${r.error}`)
+    };
+  },
+
+  async restart(context, options) {
+    const targets = selectProfiles(context, options, 'default');
+    await prepareRuntime(context);
+    for (const profile of targets) {
+      report(`Stopping ${profile.name}...`);
+      await context.containers.stop(profile);
+    }
+    const results = await startProfiles(context, options, targets);
+    return {
+      code: results.every(r => r.ok) ? EXIT.OK : EXIT.FAILED,
+      json: { profiles: results },
+      text: results.map(r => r.ok ? `${r.name}: running` : `${r.name}: ${r.error}`)
+    };
+  },
+
+  async status(context, options) {
+    const targets = selectProfiles(context, options, 'all');
+    const installed = context.installer.isInstalled();
+    try {
+      context.runtime = await context.installer.getRuntime();
+    } catch (err) {
+      return {
+        code: EXIT.FAILED,
+        json: { installed, runtime: null, error: err.message, profiles: [] },
+        text: [`No container runtime: ${err.message}`]
+      };
+    }
+
+    const results = [];
+    // Remote ports are probed through a tunnel of our own
+    await Promise.all(targets.filter(p => p.remote).map(profile => awaitTunnel(context, profile)));
+    for (const profile of targets) {
+      const info = await getContainerInfo(runtimeFor(context, profile), profile,
+        context.containers.endpoint(profile));
+      results.push({
+        id: profile.id,
+        name: profile.name,
+        host: profile.remote ? profile.remote.host : null,
+        localPorts: profile.remote ? tunnelPorts(context, profile) : null,
+        container: profile.containerName,
+        image: profile.imageName,
+        state: info.state || 'missing',
+        running: info.state === 'running',
+        startedAt: info.startedAt,
+        ports: profile.ports,
+        reachable: info.ports
+      });
+    }
+
+    const portText = (r) => Object.entries(r.ports)
+      .map(([name, port]) => `${name} ${port}${r.localPorts ? ` (local ${r.localPorts[name]})` : ''}` +
+        (r.reachable[name] ? '' : ' (down)'))
+      .join(', ');
+    return {
+      code: results.every(r => r.running) ? EXIT.OK : EXIT.NOT_RUNNING,
+      json: { installed, runtime: context.runtime.toJSON(), profiles: results },
+      text: [
+        `Runtime: ${context.runtime.label} (${context.runtime.bin})${installed ? '' : ' - setup not completed'}`,
+        ...results.map(r => `${r.name} [${r.container}${r.host ? ` @ ${r.host}` : ''}]: ${r.state}` +
+          (r.running ? ` since ${r.startedAt} - ${portText(r)}` : ''))
+      ]
+    };
+  },
+
+  async logs(context, options) {
+    if (options.targets.length > 1 || options.all) {
+      throw new UsageError('logs takes a single profile');
+    }
+    const [profile] = selectProfiles(context, options, 'default');
+    context.runtime = await context.installer.getRuntime();
+
+    const args = ['logs'];
+    if (options.follow) args.push('-f');
+    if (options.tail !== null) args.push('--tail', String(options.tail));
+    args.push(profile.containerName);
+
+    // Streamed as-is; --json does not apply
+    const [bin, ...prefix] = splitCommand(runtimeFor(context, profile));
+    const code = await new Promise((resolve) => {
+      const child = spawn(bin, [...prefix, ...args], { stdio: 'inherit' });
+      child.on('error', (err) => {
+        report(err.message);
+        resolve(EXIT.FAILED);
+      });
+      child.on('close', code => resolve(code === 0 ? EXIT.OK : EXIT.FAILED));
+      process.on('SIGINT', () => child.kill('SIGINT'));
+    });
+    return { code };
+  },
+
+  async install(context, options) {
+    const installer = context.installer;
+    if (options.repair) {
+      const fixed = await installer.repair();
+      return {
+        code: EXIT.OK,
+        json: { repaired: fixed },
+        text: fixed.length ? fixed.map(f => `Repaired ${f}`) : ['No problems found']
+      };
+    }
+
+    await installer.install();
+    return {
+      code: EXIT.OK,
+      json: { installed: true, runtime: installer.runtime ? installer.runtime.toJSON() : null, steps: installer.getState().steps },
+      text: ['MT5 Server is installed']
+    };
+  },
+
+  async doctor(context, options) {
+    const doctor = new Doctor({
+      installer: context.installer,
+      profiles: context.profiles,
+      config: context.config,
+      userDataPath: context.userDataPath,
+      appVersion: require('../package.json').version,
+      // Secrets this process can see; the desktop app's encrypted ones never reach the logs
+      getSecrets: () => [
+        ...context.profiles.list().map(p => p.vncPassword),
+        ...Object.entries(process.env).filter(([name]) => /^MT5_.*(PASSWORD|ACCOUNT)$/.test(name)).map(([, value]) => value)
+      ]
+    });
+
+    let checks;
+    if (options.bundle) {
+      report(`Writing support bundle to ${options.bundle}...`);
+      ({ checks } = await doctor.exportBundle(options.bundle));
+    } else {
+      checks = await doctor.checks();
+    }
+
+    const icons = { pass: '✓', warn: '!', fail: '✗' };
+    return {
+      code: checks.some(c => c.status === 'fail') ? EXIT.FAILED : EXIT.OK,
+      json: { checks, bundle: options.bundle },
+      text: [
+        ...checks.flatMap(c => [`${icons[c.status]} ${c.name}: ${c.detail}`, ...(c.fix ? [`    Fix: ${c.fix}`] : [])]),
+        ...(options.bundle ? [`Support bundle: ${options.bundle}`] : [])
+      ]
+    };
+  }
+};
+
+// Stay attached for systemd: stream container logs, exit non-zero if a
+// container dies (so Restart=on-failure kicks in), stop them on SIGTERM
+function runForeground(context, targets) {
+  return new Promise((resolve) => {
+    const followers = targets.map((profile) => {
+      const [bin, ...runtimeArgs] = splitCommand(runtimeFor(context, profile));
+      const child = spawn(bin, [...runtimeArgs, 'logs', '-f', '--since', '1s', profile.containerName]);
+      const prefix = targets.length > 1 ? `[${profile.name}] ` : '';
+      const forward = stream => (chunk) => {
+        chunk.toString().split('\n').filter(Boolean).forEach(line => stream.write(`${prefix}${line}\n`));
+      };
+      child.stdout.on('data', forward(process.stdout));
+      child.stderr.on('data', forward(process.stderr));
+      return child;
+    });
+
+    let finished = false;
+    const finish = async (code, stop) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(timer);
+      followers.forEach(child => child.kill());
+      if (stop) {
+        for (const profile of targets) {
+          report(`Stopping ${profile.name}...`);
+          await context.containers.stop(profile);
+        }
+      }
+      resolve({ code });
+    };
+
+    const timer = setInterval(async () => {
+      for (const profile of targets) {
+        if (!(await context.containers.check(profile))) {
+          report(`${profile.name} stopped unexpectedly`);
+          finish(EXIT.FAILED, true);
+          return;
+        }
+      }
+    }, 15000);
+
+    process.on('SIGTERM', () => finish(EXIT.OK, true));
+    process.on('SIGINT', () => finish(EXIT.OK, true));
+  });
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    report(`${err.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+
+  // Module logging (container start output etc.) must not end up in --json output
+  const print = console.log;
+  console.log = console.error;
+
+  let context = null;
+  try {
+    context = createContext(options);
+    const result = await commands[options.command](context, options);
+    if (options.json && result.json) {
+      print(JSON.stringify(result.json, null, 2));
+    } else if (result.text) {
+      result.text.forEach(line => print(line));
+    }
+    return result.code;
+  } catch (err) {
+    if (options.json) {
+      print(JSON.stringify({ error: err.message }, null, 2));
+    } else {
+      report(`Error: ${err.message}`);
+    }
+    return err instanceof UsageError ? EXIT.USAGE : EXIT.FAILED;
+  } finally {
+    if (context) closeTunnels(context);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+    // Log followers and timers must not keep the process alive
+    process.exit(code);
+  });
+}
+
+module.exports = { main, parseArgs, EXIT };
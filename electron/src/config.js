@@ -0,0 +1,435 @@
+/**
+ * MT5 Server - Configuration Store
+ *
+ * Handles:
+ * 1. Persisted app settings in userData/config.json
+ * 2. Schema validation with defaults
+ * 3. Migration of config files written by older versions
+ * 4. Validation of per-profile settings (name, image, ports, broker, terminal)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const { BROKERS, PROXY_TYPES } = require('./brokers');
+
+const CONFIG_VERSION = 2;
+
+const DEFAULTS = {
+  version: CONFIG_VERSION,
+  mt5Host: '0.0.0.0', // Inside the container, so published ports reach the RPyC server
+  publishAddress: '127.0.0.1',
+  resources: {
+    cpus: null,
+    memory: null,
+    shmSize: null,
+    warnPercent: 85
+  },
+  // Podman machine (macOS/Windows); Linux Podman and Docker have none
+  machine: {
+    cpus: 2,
+    memory: 4096,
+    diskSize: 20
+  },
+  startOnLogin: false,
+  startHidden: true, // Login launches stay in the tray
+  credentialInjection: 'env',
+  runtime: {
+    engine: 'auto',
+    path: null
+  },
+  health: {
+    enabled: true,
+    autoRestart: true,
+    interval: 15,
+    maxRetries: 5
+  },
+  updates: {
+    registry: null,
+    repository: 'avyaktha-mt5',
+    autoCheck: true,
+    checkInterval: 24
+  },
+  api: {
+    enabled: false,
+    port: 8765
+  },
+  // TLS front for remote RPyC clients; see gateway.js
+  gateway: {
+    enabled: false,
+    address: '0.0.0.0',
+    portOffset: 1000, // Gateway port = the profile's RPyC port + offset
+    auth: 'token', // 'token' or 'certificate'
+    clientCa: null, // CA that signs client certificates
+    certFile: null, // Server certificate and key; self-signed if empty
+    keyFile: null,
+    allowlist: [] // Addresses or CIDR ranges; empty allows any
+  },
+  // Forex week by default; see scheduler.js
+  schedule: {
+    enabled: false,
+    timezone: 'UTC',
+    windows: [{ start: 'Sun 22:00', end: 'Fri 22:00' }],
+    holidays: [],
+    warmup: 15
+  },
+  // What quitting the app does to running containers
+  shutdown: {
+    onQuit: 'ask', // 'ask', 'stop' or 'keep'
+    graceTimeout: 30, // Seconds the terminal gets to exit before it is killed
+    confirmOpenPositions: true
+  }
+};
+
+// Settings whose change only takes effect once the container is recreated
+const RESTART_KEYS = ['mt5Host', 'resources.cpus', 'resources.memory', 'resources.shmSize',
+  'credentialInjection', 'publishAddress'];
+const PROFILE_RESTART_KEYS = ['imageName', 'ports', 'terminal'];
+
+// Schema: dotted key -> validator returning an error message or null
+const SCHEMA = {
+  mt5Host: (value) => net.isIP(value) ? null : 'must be an IPv4 or IPv6 address',
+  publishAddress: (value) => net.isIP(value) ? null : 'must be an IPv4 or IPv6 address',
+  'resources.cpus': (value) => value === null || (typeof value === 'number' && value >= 0.5 && value <= 64)
+    ? null : 'must be empty or a number between 0.5 and 64',
+  'resources.memory': (value) => value === null || (Number.isInteger(value) && value >= 1024)
+    ? null : 'must be empty or at least 1024 (MB)',
+  'resources.shmSize': (value) => value === null || (Number.isInteger(value) && value >= 64 && value <= 65536)
+    ? null : 'must be empty or between 64 and 65536 (MB)',
+  'resources.warnPercent': (value) => Number.isInteger(value) && value >= 50 && value <= 99
+    ? null : 'must be between 50 and 99 (%)',
+  'machine.cpus': (value) => Number.isInteger(value) && value >= 1 && value <= 64
+    ? null : 'must be between 1 and 64',
+  'machine.memory': (value) => Number.isInteger(value) && value >= 2048
+    ? null : 'must be at least 2048 (MB)',
+  'machine.diskSize': (value) => Number.isInteger(value) && value >= 10 && value <= 2048
+    ? null : 'must be between 10 and 2048 (GB)',
+  startOnLogin: (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  startHidden: (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  credentialInjection: (value) => ['env', 'file'].includes(value) ? null : 'must be "env" or "file"',
+  'runtime.engine': (value) => ['auto', 'podman', 'docker'].includes(value)
+    ? null : 'must be "auto", "podman" or "docker"',
+  'runtime.path': (value) => value === null || (typeof value === 'string' && value.trim() !== '')
+    ? null : 'must be empty or a path to the runtime binary',
+  'health.enabled': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'health.autoRestart': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'health.interval': (value) => Number.isInteger(value) && value >= 5 && value <= 3600
+    ? null : 'must be between 5 and 3600 (seconds)',
+  'health.maxRetries': (value) => Number.isInteger(value) && value >= 0 && value <= 100
+    ? null : 'must be between 0 and 100',
+  'updates.registry': (value) => value === null || /^https?:\/\/[^\s/]+\/?$/.test(value)
+    ? null : 'must be empty or a registry URL like https://ghcr.io or http://localhost:5000',
+  'updates.repository': (value) => typeof value === 'string' && /^[a-z0-9]+([._\-/][a-z0-9]+)*$/.test(value)
+    ? null : 'must be a repository name like avyaktha-mt5 or org/avyaktha-mt5',
+  'updates.autoCheck': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'updates.checkInterval': (value) => Number.isInteger(value) && value >= 1 && value <= 720
+    ? null : 'must be between 1 and 720 (hours)',
+  'api.enabled': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'api.port': (value) => Number.isInteger(value) && value >= 1024 && value <= 65535
+    ? null : 'must be an integer between 1024 and 65535',
+  'gateway.enabled': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'gateway.address': (value) => net.isIP(value) ? null : 'must be an IPv4 or IPv6 address',
+  'gateway.portOffset': (value) => Number.isInteger(value) && value >= 1 && value <= 50000
+    ? null : 'must be between 1 and 50000',
+  'gateway.auth': (value) => ['token', 'certificate'].includes(value) ? null : 'must be "token" or "certificate"',
+  'gateway.clientCa': isFileSetting,
+  'gateway.certFile': isFileSetting,
+  'gateway.keyFile': isFileSetting,
+  'gateway.allowlist': (value) => Array.isArray(value) && value.every(isAllowEntry)
+    ? null : 'must be addresses or CIDR ranges like 203.0.113.7 or 10.0.0.0/24',
+  'schedule.enabled': (value) => typeof value === 'boolean' ? null : 'must be true or false',
+  'schedule.timezone': (value) => typeof value === 'string' && isTimeZone(value)
+    ? null : 'must be a timezone like UTC or Europe/London',
+  'schedule.windows': (value) => Array.isArray(value) &&
+    value.every(w => w && SLOT.test(w.start) && SLOT.test(w.end) && w.start.toLowerCase() !== w.end.toLowerCase())
+    ? null : 'must be windows like "Sun 22:00 - Fri 22:00"',
+  'schedule.holidays': (value) => Array.isArray(value) && value.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d)))
+    ? null : 'must be dates like 2026-12-25',
+  'schedule.warmup': (value) => Number.isInteger(value) && value >= 0 && value <= 240
+    ? null : 'must be between 0 and 240 (minutes)',
+  'shutdown.onQuit': (value) => ['ask', 'stop', 'keep'].includes(value)
+    ? null : 'must be "ask", "stop" or "keep"',
+  'shutdown.graceTimeout': (value) => Number.isInteger(value) && value >= 5 && value <= 600
+    ? null : 'must be between 5 and 600 (seconds)',
+  'shutdown.confirmOpenPositions': (value) => typeof value === 'boolean' ? null : 'must be true or false'
+};
+
+// Migrations from version N to N + 1, applied in order
+// Each step may push { key, from, to, message } to `notices` when it changes
+// a value the user may have chosen
+const MIGRATIONS = {
+  // Files written before versioning: keep known keys, defaults fill the rest
+  0: (config) => ({ ...config, version: 1 }),
+  // Ports were published on every interface by default; loopback is the new default.
+  // Old saves wrote the default out, so a wildcard may or may not be deliberate.
+  1: (config, notices) => {
+    if (['0.0.0.0', '::'].includes(config.publishAddress)) {
+      notices.push({
+        key: 'publishAddress',
+        from: config.publishAddress,
+        to: '127.0.0.1',
+        message: `Container ports were published on ${config.publishAddress} (every network interface) ` +
+          'and are now published on 127.0.0.1 only.'
+      });
+    }
+    return {
+      ...config,
+      publishAddress: ['0.0.0.0', '::', undefined].includes(config.publishAddress) ? '127.0.0.1' : config.publishAddress,
+      version: 2
+    };
+  }
+};
+
+const SLOT = /^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s+([01]?\d|2[0-3]):[0-5]\d$/i;
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const IMAGE_REF = /^[a-z0-9]+([._\-/:][a-z0-9]+)*(:[\w][\w.-]{0,127})?(@sha256:[a-f0-9]{64})?$/i;
+
+// Remote host fields end up in ssh:// URLs and shell commands, so they are kept strict
+const HOST_NAME = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+const USER_NAME = /^[a-z_][a-z0-9_.-]*$/i;
+
+// True for 127.0.0.0/8 and ::1, i.e. ports not reachable from the network
+function isLoopback(address) {
+  return address === '::1' || address === 'localhost' || /^127\./.test(address);
+}
+
+function isFileSetting(value) {
+  return value === null || (typeof value === 'string' && path.isAbsolute(value))
+    ? null : 'must be empty or the full path of a file';
+}
+
+// "203.0.113.7", "10.0.0.0/24" or an IPv6 address or range
+function isAllowEntry(value) {
+  if (typeof value !== 'string') return false;
+  const [address, bits, extra] = value.split('/');
+  const type = net.isIP(address);
+  if (!type || extra !== undefined) return false;
+  return bits === undefined || (/^\d+$/.test(bits) && Number(bits) <= (type === 4 ? 32 : 128));
+}
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Deep-merge plain objects; arrays and scalars in `override` win
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? merge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+function validateConfig(config) {
+  const errors = [];
+  for (const [key, validator] of Object.entries(SCHEMA)) {
+    const message = validator(getPath(config, key));
+    if (message) errors.push(`${key} ${message}`);
+  }
+  return errors;
+}
+
+// Validate the editable fields of a profile against the other profiles
+function validateProfile(profile, otherProfiles = []) {
+  const errors = [];
+
+  if (!profile.name || !String(profile.name).trim()) {
+    errors.push('name is required');
+  }
+
+  if (!IMAGE_REF.test(profile.imageName || '')) {
+    errors.push('imageName is not a valid image reference');
+  }
+
+  const ports = profile.ports || {};
+  const values = [];
+  for (const key of ['vnc', 'novnc', 'rpyc']) {
+    const port = ports[key];
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      errors.push(`ports.${key} must be an integer between 1024 and 65535`);
+    } else {
+      values.push(port);
+    }
+  }
+  if (new Set(values).size !== values.length) {
+    errors.push('ports must be different from each other');
+  }
+  for (const other of otherProfiles) {
+    const clash = values.find(port => Object.values(other.ports || {}).includes(port));
+    if (clash) errors.push(`port ${clash} is already used by profile "${other.name}"`);
+  }
+
+  if (profile.remote) {
+    errors.push(...validateRemote(profile.remote));
+  }
+
+  if (profile.broker !== undefined && !Object.keys(BROKERS).includes(profile.broker)) {
+    errors.push(`broker must be one of ${Object.keys(BROKERS).join(', ')}`);
+  }
+  if (profile.terminal) {
+    errors.push(...validateTerminal(profile.terminal));
+  }
+
+  return errors;
+}
+
+// "host:port" of a proxy; IPv6 addresses go in brackets
+function isProxyAddress(value) {
+  const match = /^(?:\[([0-9a-fA-F:.]+)\]|([^:\s]+)):(\d{1,5})$/.exec(value || '');
+  if (!match || Number(match[3]) < 1 || Number(match[3]) > 65535) return false;
+  return match[1] ? net.isIPv6(match[1]) : net.isIPv4(match[2]) || HOST_NAME.test(match[2]);
+}
+
+// mt5cfg.ini settings of a profile (see brokers.js)
+function validateTerminal(terminal) {
+  const errors = [];
+  for (const key of ['autoTrading', 'allowDllImport', 'disableOnAccountChange', 'disableOnProfileChange', 'news']) {
+    if (terminal[key] !== undefined && typeof terminal[key] !== 'boolean') {
+      errors.push(`terminal.${key} must be true or false`);
+    }
+  }
+  if (terminal.maxBars !== undefined &&
+      (!Number.isInteger(terminal.maxBars) || terminal.maxBars < 1000 || terminal.maxBars > 100000000)) {
+    errors.push('terminal.maxBars must be an integer between 1000 and 100000000');
+  }
+
+  const proxy = terminal.proxy;
+  if (proxy && proxy.enabled) {
+    if (!Object.keys(PROXY_TYPES).includes(proxy.type)) {
+      errors.push(`terminal.proxy.type must be one of ${Object.keys(PROXY_TYPES).join(', ')}`);
+    }
+    if (!isProxyAddress(proxy.address)) {
+      errors.push('terminal.proxy.address must be host:port');
+    }
+    // The file is one KEY=value per line
+    if (proxy.login && !/^[^\s=;]+$/.test(proxy.login)) {
+      errors.push('terminal.proxy.login must not contain spaces, "=" or ";"');
+    }
+  }
+  return errors;
+}
+
+// { host, user, port, identityFile, socket, arch } of a profile on another machine
+function validateRemote(remote) {
+  const errors = [];
+  if (!(net.isIPv4(remote.host || '') || HOST_NAME.test(remote.host || ''))) {
+    errors.push('remote.host must be a host name or IPv4 address');
+  }
+  if (remote.user !== null && remote.user !== undefined && !USER_NAME.test(remote.user)) {
+    errors.push('remote.user must be empty or a user name');
+  }
+  if (!Number.isInteger(remote.port) || remote.port < 1 || remote.port > 65535) {
+    errors.push('remote.port must be an integer between 1 and 65535');
+  }
+  if (remote.identityFile !== null && remote.identityFile !== undefined &&
+      (!path.isAbsolute(remote.identityFile) || /["$`\n]/.test(remote.identityFile))) {
+    errors.push('remote.identityFile must be empty or the full path of a key file');
+  }
+  if (remote.socket !== null && remote.socket !== undefined && !/^\/[\w./-]+$/.test(remote.socket)) {
+    errors.push('remote.socket must be empty or the path of the Podman socket on the host');
+  }
+  return errors;
+}
+
+class ConfigStore {
+  constructor(userDataPath) {
+    this.file = path.join(userDataPath, 'config.json');
+    this.config = merge(DEFAULTS, {});
+    this.notices = []; // Values the last load's migration changed
+  }
+
+  // Load, migrate and validate config; invalid files fall back to defaults
+  load() {
+    let raw = null;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch {
+      raw = null;
+    }
+
+    if (!raw) {
+      this.config = merge(DEFAULTS, {});
+      this.save();
+      return this.config;
+    }
+
+    const { config, migrated, notices } = this.migrate(raw);
+    const candidate = merge(DEFAULTS, config);
+    const errors = validateConfig(candidate);
+
+    if (errors.length > 0) {
+      console.error(`Invalid config.json, using defaults: ${errors.join('; ')}`);
+      // Keep the broken file around for inspection
+      fs.copyFileSync(this.file, `${this.file}.invalid`);
+      this.config = merge(DEFAULTS, {});
+      this.save();
+    } else {
+      this.config = candidate;
+      this.notices = notices;
+      if (migrated) this.save();
+    }
+
+    return this.config;
+  }
+
+  migrate(raw) {
+    let config = { ...raw };
+    let version = Number.isInteger(config.version) ? config.version : 0;
+    const migrated = version < CONFIG_VERSION;
+    const notices = [];
+
+    while (version < CONFIG_VERSION) {
+      config = MIGRATIONS[version](config, notices);
+      version = config.version;
+    }
+
+    return { config, migrated, notices };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.config, null, 2));
+  }
+
+  get() {
+    return this.config;
+  }
+
+  // Apply changes; returns { errors, restartRequired } without saving on error
+  update(changes) {
+    const candidate = merge(this.config, { ...changes, version: CONFIG_VERSION });
+    const errors = validateConfig(candidate);
+    if (errors.length > 0) {
+      return { errors, restartRequired: false };
+    }
+
+    const restartRequired = RESTART_KEYS.some(key =>
+      JSON.stringify(getPath(this.config, key)) !== JSON.stringify(getPath(candidate, key)));
+
+    this.config = candidate;
+    this.save();
+    return { errors: [], restartRequired };
+  }
+}
+
+ConfigStore.DEFAULTS = DEFAULTS;
+ConfigStore.PROFILE_RESTART_KEYS = PROFILE_RESTART_KEYS;
+ConfigStore.validateConfig = validateConfig;
+ConfigStore.validateProfile = validateProfile;
+ConfigStore.validateRemote = validateRemote;
+ConfigStore.validateTerminal = validateTerminal;
+ConfigStore.isLoopback = isLoopback;
+
+module.exports = ConfigStore;
@@ -0,0 +1,89 @@
+/**
+ * MT5 Server - Container Info
+ *
+ * Collects what the dashboard shows about a profile's container:
+ * state and uptime, image tag/architecture, CPU/memory usage and
+ * whether each published port is reachable.
+ */
+
+const { exec } = require('child_process');
+const { checkHttp, checkTcp } = require('./readiness');
+const ContainerRuntime = require('./runtime');
+
+function run(command) {
+  return new Promise((resolve) => {
+    exec(command, { timeout: 15000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+  });
+}
+
+function parsePercent(value) {
+  const number = parseFloat(String(value || '').replace('%', ''));
+  return Number.isNaN(number) ? null : number;
+}
+
+// CPU and memory of a running container, or null
+async function getStats(runtime, containerName) {
+  // Template fields shared by podman and docker
+  const stats = await run(
+    `${runtime} stats --no-stream --format "{{.CPUPerc}}|{{.MemUsage}}|{{.MemPerc}}" ${containerName}`);
+  if (!stats) return null;
+
+  const [cpu, memUsage, memPercent] = stats.split('\n')[0].split('|');
+  const [memUsed, memLimit] = (memUsage || '').split('/').map(s => s.trim());
+  return {
+    cpuPercent: parsePercent(cpu),
+    memUsed: ContainerRuntime.parseSize(memUsed),
+    memLimit: ContainerRuntime.parseSize(memLimit),
+    memPercent: parsePercent(memPercent)
+  };
+}
+
+// `endpoint` is { host, ports } the profile's ports answer on, or null if they can't be reached
+async function getContainerInfo(runtime, profile, endpoint) {
+  const info = {
+    state: null,
+    startedAt: null,
+    image: profile.imageName,
+    architecture: null,
+    stats: null,
+    ports: {}
+  };
+
+  const state = await run(
+    `${runtime} inspect --format "{{.State.Status}}|{{.State.StartedAt}}|{{.Image}}" ${profile.containerName}`);
+  if (state) {
+    const [status, startedAt, imageId] = state.split('|');
+    info.state = ContainerRuntime.normalizeState(status);
+    info.startedAt = status === 'running' ? ContainerRuntime.parseTime(startedAt) : null;
+
+    const image = await run(`${runtime} image inspect --format "{{.Architecture}}" ${imageId}`);
+    info.architecture = image || null;
+  } else {
+    // No container yet: still show what the image would run as
+    info.architecture = await run(`${runtime} image inspect --format "{{.Architecture}}" ${profile.imageName}`);
+  }
+
+  if (info.state === 'running') {
+    info.stats = await getStats(runtime, profile.containerName);
+  }
+
+  if (info.state === 'running' && endpoint) {
+    const { host, ports } = endpoint;
+    const [vnc, novnc, rpyc] = await Promise.all([
+      checkTcp(host, ports.vnc),
+      checkHttp(host, ports.novnc, '/vnc.html'),
+      checkTcp(host, ports.rpyc)
+    ]);
+    info.ports = { vnc, novnc, rpyc };
+  } else {
+    info.ports = { vnc: false, novnc: false, rpyc: false };
+  }
+
+  return info;
+}
+
+module.exports = {
+  getContainerInfo,
+  getStats,
+  parsePercent
+};
@@ -0,0 +1,334 @@
+/**
+ * MT5 Server - Container Lifecycle
+ *
+ * Handles:
+ * 1. Starting, stopping and restarting a profile's container
+ * 2. Tracking which profiles are running
+ * 3. Building the `run` arguments (ports, volumes, limits, secrets, mt5cfg.ini)
+ * 4. Port and image architecture preflight, keeping the runtime's error when `run` fails
+ * 5. Waiting for readiness
+ * 6. Profiles on a remote host, driven over SSH (see remote.js)
+ * 7. Stopping with a grace period and counting open positions first
+ *
+ * Shared by the desktop app and the headless CLI, so nothing here may
+ * touch Electron; callers supply runtime, settings, secrets and the terminal config.
+ */
+
+const { exec, spawn } = require('child_process');
+const EventEmitter = require('events');
+const ReadinessProbe = require('./readiness');
+const { splitCommand } = require('./runtime');
+const { checkPorts, formatConflicts } = require('./ports');
+const { archKey, defaultImage, inspectImage, checkArchitecture } = require('./images');
+const { CONFIG_MOUNT } = require('./brokers');
+
+// Image used for new profiles
+const DEFAULT_IMAGE = defaultImage();
+
+// Seconds past the grace timeout before a `stop` counts as hung
+const STOP_MARGIN = 15;
+
+// start.sh logs this once it has read the mounted secret file
+const SECRETS_LOADED_LOG = '✓ Broker credentials loaded';
+// Images without that line still read the file within seconds of starting
+const SECRETS_READ_TIMEOUT = 120000;
+
+// Address the published ports can be probed on
+function probeHost(publishAddress) {
+  // Wildcard bindings are reachable on loopback
+  return ['0.0.0.0', '::'].includes(publishAddress) ? '127.0.0.1' : publishAddress;
+}
+
+class ContainerManager extends EventEmitter {
+  constructor(options) {
+    super();
+    this.getRuntime = options.getRuntime; // profile -> runtime command (local or over SSH) or null
+    this.getSettings = options.getSettings;
+    this.volumes = options.volumes;
+    // profile -> { env, args, file } holding VNC_PWD and the broker login;
+    // `file` is set when the login is mounted from a secret file
+    this.getSecrets = options.getSecrets || (() => ({ env: {}, args: [] }));
+    this.releaseSecrets = options.releaseSecrets || (() => {});
+    // profile -> path of its generated mt5cfg.ini, or null to keep the image's
+    this.getTerminalConfig = options.getTerminalConfig || (() => null);
+    // remote profile -> local ports of its open SSH tunnel, or null
+    this.getTunnelPorts = options.getTunnelPorts || (() => null);
+    this.status = {}; // profile id -> running
+    this.errors = {}; // profile id -> why the last start failed
+  }
+
+  isRunning(profile) {
+    return this.status[profile.id] === true;
+  }
+
+  // Why the last start of a profile failed, or null
+  lastError(profile) {
+    return this.errors[profile.id] || null;
+  }
+
+  // Ports of a profile that something else already holds
+  checkPorts(profile) {
+    return checkPorts(profile.ports, this.getSettings().publishAddress);
+  }
+
+  // { host, ports } a profile's ports answer on: a remote profile's are its SSH
+  // tunnel's local ports, so null while the tunnel is not open
+  endpoint(profile) {
+    if (!profile.remote) {
+      return { host: probeHost(this.getSettings().publishAddress), ports: profile.ports };
+    }
+    const ports = this.getTunnelPorts(profile);
+    return ports ? { host: '127.0.0.1', ports } : null;
+  }
+
+  // Check if a profile's container is running; emits 'status' with the result
+  check(profile) {
+    const runtime = this.getRuntime(profile);
+    if (!runtime) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      exec(`${runtime} ps --filter name=${profile.containerName} --format "{{.Names}}"`, (error, stdout) => {
+        // The name filter matches substrings, so compare whole names
+        const names = (stdout || '').split('\n').map(n => n.trim());
+        this.status[profile.id] = names.includes(profile.containerName);
+        this.emit('status', profile, this.status[profile.id]);
+        resolve(this.status[profile.id]);
+      });
+    });
+  }
+
+  async checkAll(profiles) {
+    for (const profile of profiles) {
+      await this.check(profile);
+    }
+  }
+
+  // `run` arguments; secrets are only referenced by name (`-e NAME`) or mounted
+  runArgs(profile, secretArgs = [], configFile = null) {
+    const settings = this.getSettings();
+    // A remote host only publishes to itself; the SSH tunnel carries the ports
+    const address = profile.remote ? '127.0.0.1' : settings.publishAddress;
+    const bind = address.includes(':') ? `[${address}]` : address;
+    const args = [
+      'run', '-d',
+      '--name', profile.containerName,
+      '-e', 'VNC_PWD',
+      '-e', `MT5_HOST=${settings.mt5Host}`,
+      '-p', `${bind}:${profile.ports.vnc}:5901`,
+      '-p', `${bind}:${profile.ports.novnc}:6081`,
+      '-p', `${bind}:${profile.ports.rpyc}:8001`,
+      ...this.volumes.mountArgs(profile)
+    ];
+
+    // Optional resource limits
+    if (settings.resources.cpus) {
+      args.push('--cpus', String(settings.resources.cpus));
+    }
+    if (settings.resources.memory) {
+      args.push('--memory', `${settings.resources.memory}m`);
+    }
+    // Wine and the terminal's charts use shared memory; the runtime default is 64 MB
+    if (settings.resources.shmSize) {
+      args.push('--shm-size', `${settings.resources.shmSize}m`);
+    }
+
+    if (configFile) {
+      args.push('-v', `${configFile}:${CONFIG_MOUNT}:ro`);
+    }
+
+    args.push(...secretArgs, profile.imageName);
+    return args;
+  }
+
+  // Start a profile's container; resolves to whether it is running afterwards.
+  // On failure lastError(profile) holds the reason.
+  async start(profile) {
+    const runtime = this.getRuntime(profile);
+    if (!runtime) return false;
+    delete this.errors[profile.id];
+
+    // Check if already running
+    if (await this.check(profile)) {
+      console.log(`Container ${profile.containerName} already running`);
+      return true;
+    }
+
+    // `run` would fail with a terse bind error; a remote host's ports are its own
+    const conflicts = profile.remote ? [] : await this.checkPorts(profile);
+    if (conflicts.length > 0) {
+      return this.fail(profile, `Ports already in use:\n${formatConflicts(conflicts)}`);
+    }
+
+    // An image for another architecture would only run emulated, if at all
+    const hostArch = profile.remote ? profile.remote.arch : process.arch;
+    const mismatch = hostArch && checkArchitecture(profile.imageName, await inspectImage(runtime, profile.imageName), hostArch);
+    if (mismatch) {
+      return this.fail(profile, mismatch);
+    }
+
+    // Remove existing stopped container
+    await new Promise(resolve => exec(`${runtime} rm -f ${profile.containerName}`, () => resolve()));
+
+    // Terminal data survives the container in named volumes
+    try {
+      await this.volumes.prepare(profile);
+    } catch (err) {
+      console.error(`Could not prepare volumes for ${profile.name}: ${err.message}`);
+    }
+
+    // Secrets never appear in argv or logs
+    let secrets = { env: {}, args: [] };
+    try {
+      secrets = this.getSecrets(profile);
+    } catch (err) {
+      console.error(`Could not load credentials for ${profile.name}: ${err.message}`);
+    }
+    let configFile = null;
+    try {
+      configFile = this.getTerminalConfig(profile);
+    } catch (err) {
+      console.error(`Could not write mt5cfg.ini for ${profile.name}: ${err.message}`);
+    }
+    const args = this.runArgs(profile, secrets.args, configFile);
+    const env = { ...process.env, ...secrets.env };
+
+    // `run -d` exits as soon as the container has been created and started
+    const error = await new Promise((resolve) => {
+      const [bin, ...prefix] = splitCommand(runtime);
+      const containerProcess = spawn(bin, [...prefix, ...args], { env });
+      let stderr = '';
+
+      containerProcess.on('close', (code) => {
+        console.log(`Container ${profile.containerName} start exited with code ${code}`);
+        resolve(code === 0 ? null : stderr.trim() || `${runtime} run exited with code ${code}`);
+      });
+
+      containerProcess.on('error', (err) => {
+        resolve(`Failed to run ${runtime}: ${err.message}`);
+      });
+
+      containerProcess.stdout.on('data', (data) => {
+        console.log(`stdout: ${data}`);
+      });
+
+      containerProcess.stderr.on('data', (data) => {
+        console.error(`stderr: ${data}`);
+        stderr += data;
+      });
+    });
+
+    if (await this.check(profile)) {
+      if (secrets.file) this.releaseSecretsWhenRead(profile, runtime);
+      return true;
+    }
+    if (secrets.file) this.releaseSecrets(profile);
+    return this.fail(profile, error || `${profile.containerName} exited right after starting; see its logs`);
+  }
+
+  // The secret file is only read as the container starts; delete it as soon as
+  // start.sh says so instead of leaving it on disk while the container runs
+  releaseSecretsWhenRead(profile, runtime) {
+    const [bin, ...prefix] = splitCommand(runtime);
+    const child = spawn(bin, [...prefix, 'logs', '-f', profile.containerName]);
+    let output = '';
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      clearTimeout(timer);
+      child.kill();
+      this.releaseSecrets(profile);
+    };
+    const timer = setTimeout(release, SECRETS_READ_TIMEOUT);
+    const onData = (data) => {
+      output = (output + data).slice(-4096);
+      if (output.includes(SECRETS_LOADED_LOG)) release();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    // Without the log line, the timeout (or a stop) still removes the file
+    child.on('error', () => {});
+  }
+
+  fail(profile, message) {
+    console.error(`Could not start ${profile.containerName}: ${message}`);
+    this.errors[profile.id] = message;
+    return false;
+  }
+
+  // Stop a profile's container, giving the terminal `timeout` seconds to exit
+  // before it is killed; resolves to whether the stop succeeded
+  stop(profile, timeout = this.getSettings().shutdown.graceTimeout) {
+    const runtime = this.getRuntime(profile);
+    if (!runtime) return Promise.resolve(false);
+
+    // The runtime kills at the timeout, so only a hung runtime outlasts the margin
+    const options = { timeout: (timeout + STOP_MARGIN) * 1000 };
+    return new Promise((resolve) => {
+      exec(`${runtime} stop -t ${timeout} ${profile.containerName}`, options, (error) => {
+        this.status[profile.id] = false;
+        this.releaseSecrets(profile);
+        this.emit('status', profile, false);
+        resolve(!error);
+      });
+    });
+  }
+
+  // Open positions on a running terminal, or null if they can't be counted
+  // (terminal not logged in, Python bridge down, no answer in time)
+  openPositions(profile) {
+    const runtime = this.getRuntime(profile);
+    if (!runtime) return Promise.resolve(null);
+
+    const script = [
+      'import MetaTrader5 as mt5',
+      'print("POSITIONS %d" % mt5.positions_total() if mt5.initialize(timeout=10000) else "FAIL")'
+    ].join('\n');
+
+    return new Promise((resolve) => {
+      let output = '';
+      const [bin, ...prefix] = splitCommand(runtime);
+      const child = spawn(bin, [...prefix, 'exec', profile.containerName, 'wine', 'C:\\Python39x64\\python.exe', '-c', script]);
+      const timer = setTimeout(() => child.kill(), 30000);
+      child.stdout.on('data', (data) => { output += data; });
+      child.on('error', () => {});
+      child.on('close', () => {
+        clearTimeout(timer);
+        const match = output.match(/^POSITIONS (\d+)\s*$/m);
+        resolve(match ? Number(match[1]) : null);
+      });
+    });
+  }
+
+  async restart(profile, delay = 2000) {
+    await this.stop(profile);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return this.start(profile);
+  }
+
+  // Delete a profile's container
+  remove(profile) {
+    const runtime = this.getRuntime(profile);
+    delete this.status[profile.id];
+    delete this.errors[profile.id];
+    if (!runtime) return Promise.resolve();
+    return new Promise(resolve => exec(`${runtime} rm -f ${profile.containerName}`, () => resolve()));
+  }
+
+  // Wait until a profile's terminal and APIs are up, reporting each stage
+  waitForReady(profile, onProgress) {
+    const probe = new ReadinessProbe({
+      runtime: this.getRuntime(profile),
+      containerName: profile.containerName,
+      getEndpoint: () => this.endpoint(profile),
+      onProgress
+    });
+    return probe.wait();
+  }
+}
+
+ContainerManager.DEFAULT_IMAGE = DEFAULT_IMAGE;
+ContainerManager.getArchSuffix = archKey;
+ContainerManager.probeHost = probeHost;
+
+module.exports = ContainerManager;
@@ -0,0 +1,211 @@
+/**
+ * MT5 Server - Credential Store
+ *
+ * Handles:
+ * 1. Encrypting MT5 login details with Electron safeStorage
+ * 2. One encrypted file per profile in userData/credentials
+ * 3. Building the env vars / secret file handed to the container
+ * 4. Per-profile VNC passwords, generated randomly on first run
+ *
+ * Secrets are never written in plain text except the short-lived,
+ * owner-only secret file that is mounted into a running container.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Env vars understood by start.sh (see compose.yaml / .env.example)
+const ENV_KEYS = {
+  account: 'MT5_ACCOUNT',
+  password: 'MT5_PASSWORD',
+  server: 'MT5_SERVER'
+};
+
+// Path of the secret file inside the container
+const SECRET_MOUNT = '/run/secrets/mt5_credentials';
+
+// VNC authentication only uses the first 8 characters of a password
+const VNC_PASSWORD_LENGTH = 8;
+const VNC_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+// Only the Electron main process has safeStorage; the headless CLI runs on plain Node
+function loadSafeStorage() {
+  try {
+    return require('electron').safeStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+function validateCredentials(credentials) {
+  const errors = [];
+  if (!/^\d{1,20}$/.test(String(credentials.account || ''))) {
+    errors.push('account must be the numeric MT5 login');
+  }
+  if (!credentials.password) {
+    errors.push('password is required');
+  }
+  if (!credentials.server || !String(credentials.server).trim()) {
+    errors.push('server is required');
+  }
+  // Values end up in KEY=value lines, so they must stay on one line
+  for (const [key, value] of Object.entries(credentials)) {
+    if (/[\r\n\0]/.test(String(value || ''))) {
+      errors.push(`${key} must not contain line breaks`);
+    }
+  }
+  return errors;
+}
+
+class CredentialStore {
+  constructor(userDataPath) {
+    this.dir = path.join(userDataPath, 'credentials');
+    this.secretsDir = path.join(userDataPath, 'secrets');
+    this.safeStorage = loadSafeStorage();
+  }
+
+  // safeStorage on Linux without a keyring silently uses a fixed key
+  isEncryptionAvailable() {
+    const { safeStorage } = this;
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) return false;
+    if (typeof safeStorage.getSelectedStorageBackend === 'function') {
+      return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  fileFor(profileId) {
+    return path.join(this.dir, `${profileId}.enc`);
+  }
+
+  vncFileFor(profileId) {
+    return path.join(this.dir, `${profileId}.vnc.enc`);
+  }
+
+  // Random password using the full 8 characters VNC honours
+  static generateVncPassword() {
+    let password = '';
+    while (password.length < VNC_PASSWORD_LENGTH) {
+      const byte = crypto.randomBytes(1)[0];
+      // Reject bytes that would bias the distribution
+      if (byte < 256 - (256 % VNC_ALPHABET.length)) {
+        password += VNC_ALPHABET[byte % VNC_ALPHABET.length];
+      }
+    }
+    return password;
+  }
+
+  getVncPassword(profileId) {
+    const file = this.vncFileFor(profileId);
+    if (!fs.existsSync(file)) return null;
+    return this.decrypt(fs.readFileSync(file));
+  }
+
+  setVncPassword(profileId, password) {
+    if (!this.isEncryptionAvailable()) {
+      throw new Error('Secure storage is not available on this system (no OS keychain/keyring found)');
+    }
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.vncFileFor(profileId), this.safeStorage.encryptString(password), { mode: 0o600 });
+  }
+
+  clearVncPassword(profileId) {
+    fs.rmSync(this.vncFileFor(profileId), { force: true });
+  }
+
+  has(profileId) {
+    return fs.existsSync(this.fileFor(profileId));
+  }
+
+  // Decrypt stored credentials, or null if none are stored
+  get(profileId) {
+    if (!this.has(profileId)) return null;
+    const encrypted = fs.readFileSync(this.fileFor(profileId));
+    return JSON.parse(this.decrypt(encrypted));
+  }
+
+  decrypt(buffer) {
+    if (!this.safeStorage) {
+      throw new Error('Stored secrets can only be decrypted by the desktop app');
+    }
+    return this.safeStorage.decryptString(buffer);
+  }
+
+  // Safe view for the UI: everything but the password
+  summary(profileId) {
+    const credentials = this.get(profileId);
+    if (!credentials) {
+      return { stored: false, encryptionAvailable: this.isEncryptionAvailable() };
+    }
+    return {
+      stored: true,
+      encryptionAvailable: this.isEncryptionAvailable(),
+      account: credentials.account,
+      server: credentials.server,
+      updatedAt: credentials.updatedAt
+    };
+  }
+
+  // Store (or rotate) credentials; an empty password keeps the current one
+  set(profileId, credentials) {
+    if (!this.isEncryptionAvailable()) {
+      throw new Error('Secure storage is not available on this system (no OS keychain/keyring found)');
+    }
+
+    const current = this.get(profileId) || {};
+    const next = {
+      account: String(credentials.account || '').trim(),
+      password: credentials.password || current.password,
+      server: String(credentials.server || '').trim()
+    };
+
+    const errors = validateCredentials(next);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    next.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.fileFor(profileId), this.safeStorage.encryptString(JSON.stringify(next)), { mode: 0o600 });
+    return [];
+  }
+
+  clear(profileId) {
+    fs.rmSync(this.fileFor(profileId), { force: true });
+    this.removeSecretFile(profileId);
+  }
+
+  // Env vars for spawn(); pair with `-e NAME` args so values stay out of argv
+  toEnv(profileId) {
+    const credentials = this.get(profileId);
+    if (!credentials) return {};
+    const env = {};
+    for (const [key, name] of Object.entries(ENV_KEYS)) {
+      env[name] = credentials[key];
+    }
+    return env;
+  }
+
+  // Write an owner-only KEY=value file for mounting into the container
+  writeSecretFile(profileId) {
+    const env = this.toEnv(profileId);
+    if (Object.keys(env).length === 0) return null;
+
+    fs.mkdirSync(this.secretsDir, { recursive: true, mode: 0o700 });
+    const file = path.join(this.secretsDir, `${profileId}.env`);
+    const body = Object.entries(env).map(([name, value]) => `${name}=${value}`).join('\n') + '\n';
+    fs.writeFileSync(file, body, { mode: 0o600 });
+    return file;
+  }
+
+  removeSecretFile(profileId) {
+    fs.rmSync(path.join(this.secretsDir, `${profileId}.env`), { force: true });
+  }
+}
+
+CredentialStore.ENV_KEYS = ENV_KEYS;
+CredentialStore.SECRET_MOUNT = SECRET_MOUNT;
+CredentialStore.validateCredentials = validateCredentials;
+
+module.exports = CredentialStore;
@@ -0,0 +1,337 @@
+/**
+ * MT5 Server - Doctor
+ *
+ * Handles:
+ * 1. Pass/fail checks of the runtime, engine, install state, images, ports
+ *    and remote hosts, each failure with a suggested fix
+ * 2. A diagnostics report: OS, runtime, Podman machine, images, install state
+ * 3. A redacted support bundle (.zip) with the report, settings and recent
+ *    app and container logs (start.sh output)
+ *
+ * Read-only: nothing is installed, extracted or started.
+ */
+
+const os = require('os');
+const zlib = require('zlib');
+const path = require('path');
+const fs = require('fs');
+const ContainerRuntime = require('./runtime');
+const ConfigStore = require('./config');
+const { checkPorts, formatConflicts } = require('./ports');
+const { checkArchitecture } = require('./images');
+const { runtimeCommand, testConnection, destination } = require('./remote');
+
+const LOG_LINES = 500;
+const REDACTED = '[REDACTED]';
+
+// Env vars and JSON keys whose values never leave the machine
+const SECRET_KEY = /pass|pwd|secret|token|account|credential|key/i;
+
+// Redact secret keys in objects and known secret values / KEY=value pairs in text
+function redact(value, secrets = []) {
+  if (typeof value === 'string') {
+    let text = value.replace(/\b([A-Z0-9_]*(?:PASS|PWD|SECRET|TOKEN|ACCOUNT)[A-Z0-9_]*)=([^\s"',]+)/gi, `$1=${REDACTED}`);
+    for (const secret of secrets.filter(s => s && String(s).length >= 4)) {
+      text = text.split(String(secret)).join(REDACTED);
+    }
+    return text;
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item !== null && typeof item !== 'object' ? REDACTED : redact(item, secrets)
+    ]));
+  }
+  return value;
+}
+
+// CRC-32 as used by zip
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Deflated zip of { name: string|Buffer }
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(0x0800, 6);       // UTF-8 names
+    local.writeUInt16LE(8, 8);            // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+class Doctor {
+  constructor(options) {
+    this.installer = options.installer;
+    this.profiles = options.profiles;
+    this.config = options.config; // ConfigStore, optional
+    this.userDataPath = options.userDataPath;
+    this.appVersion = options.appVersion || null;
+    // Values to scrub from everything exported (VNC passwords, broker login)
+    this.getSecrets = options.getSecrets || (() => []);
+    this.runtime = null;
+  }
+
+  // Runtime the app would use: the recorded binary, else a fresh detection
+  async findRuntime() {
+    const installer = this.installer;
+    installer.init();
+    const state = installer.getState();
+    let runtime = state.runtimePath ? await ContainerRuntime.identify(state.runtimePath) : null;
+    if (!runtime) {
+      runtime = await ContainerRuntime.detect(installer.runtimePreference, [installer.podmanBin]).catch(() => null);
+    }
+    this.runtime = runtime;
+    installer.runtime = runtime || installer.runtime;
+    return runtime;
+  }
+
+  // Runtime command for a profile; remote profiles reach their host over SSH
+  runtimeFor(profile) {
+    return profile.remote ? runtimeCommand(this.runtime, profile.remote) : this.runtime.bin;
+  }
+
+  // Output of a runtime command, or null if it failed
+  runCommand(command) {
+    return this.installer.runCommand(command, { timeout: 30000 }).catch(() => null);
+  }
+
+  // [{ id, name, status: pass|warn|fail, detail, fix }]
+  async checks() {
+    const checks = [];
+    const add = (id, name, status, detail, fix = null) => checks.push({ id, name, status, detail, fix });
+
+    const installer = this.installer;
+    installer.init();
+    const state = installer.getState();
+
+    if (installer.isInstalled()) {
+      add('install', 'Installation', 'pass', `Installed ${state.installedAt || ''}`.trim());
+    } else {
+      const lastError = state.lastError ? `; last error in "${state.lastError.step}": ${state.lastError.message}` : '';
+      add('install', 'Installation', 'fail', `Setup has not completed${lastError}`,
+        'Restart the app to resume setup, or use Maintenance → Repair Installation (CLI: mt5-server install --repair)');
+    }
+
+    const runtime = await this.findRuntime();
+    if (!runtime) {
+      add('runtime', 'Container runtime', 'fail', 'Neither Podman nor Docker was found',
+        process.platform === 'darwin' ? 'Install Podman: brew install podman'
+          : process.platform === 'win32' ? 'Install Podman Desktop from https://podman-desktop.io/downloads'
+            : 'Install Podman: sudo apt install podman (or docker.io)');
+      return checks;
+    }
+    add('runtime', 'Container runtime', 'pass', `${runtime.label} (${runtime.bin})`);
+
+    if (runtime.needsMachine) {
+      const machine = await installer.machineState();
+      add('engine', 'Podman machine', machine === 'running' ? 'pass' : 'fail',
+        machine ? `podman-machine-default is ${machine}` : 'podman-machine-default does not exist',
+        machine === 'running' ? null
+          : machine ? `Start it: ${runtime.bin} machine start` : 'Use Maintenance → Repair Installation to create it');
+    } else {
+      const error = await runtime.checkEngine().then(() => null, err => err.message);
+      add('engine', 'Container engine', error ? 'fail' : 'pass', error || `${runtime.label} is reachable`,
+        error ? 'Start the Docker daemon (Docker Desktop or `sudo systemctl start docker`)' : null);
+    }
+
+    // Remote profiles' images live on their host
+    const images = [...new Set(this.profiles.list().filter(p => !p.remote).map(p => p.imageName))];
+    for (const image of images) {
+      const info = await installer.imageInfo(image);
+      if (!info) {
+        add(`image:${image}`, `Image ${image}`, 'fail', 'Not present', image === installer.imageName
+          ? 'Use Maintenance → Repair Installation to load the bundled image'
+          : `Pull it (${runtime.bin} pull ${image}) or pick another image for the profile in Settings`);
+        continue;
+      }
+      const mismatch = checkArchitecture(image, info);
+      add(`image:${image}`, `Image ${image}`, mismatch ? 'fail' : 'pass',
+        mismatch || info.id.replace(/^sha256:/, '').slice(0, 12) + (info.architecture ? ` (${info.architecture})` : ''),
+        mismatch ? `Use ${installer.imageName} for the profile in Settings` : null);
+    }
+
+    const publishAddress = this.config ? this.config.get().publishAddress : '127.0.0.1';
+    if (!ConfigStore.isLoopback(publishAddress)) {
+      add('exposure', 'Port exposure', 'warn',
+        `Ports are published on ${publishAddress}; anyone reaching RPyC can run code in the terminal`,
+        'Publish ports on 127.0.0.1 and turn on the RPyC gateway for remote clients');
+    }
+    for (const profile of this.profiles.list()) {
+      if (profile.remote) {
+        const connection = await testConnection(profile.remote, runtime.engine);
+        add(`remote:${profile.id}`, `Host of ${profile.name}`, connection.ok ? 'pass' : 'fail',
+          `${destination(profile.remote)}: ${connection.message}`,
+          connection.ok ? null : 'Check that `ssh ' + destination(profile.remote) + '` logs in with the key and no password');
+        if (!connection.ok) continue;
+      }
+
+      const containerState = await this.runCommand(`${this.runtimeFor(profile)} inspect --format "{{.State.Status}}" ${profile.containerName}`)
+        .then(ContainerRuntime.normalizeState);
+      add(`container:${profile.id}`, `Container ${profile.containerName}`,
+        containerState === 'running' ? 'pass' : 'warn', containerState ? `State: ${containerState}` : 'Not created');
+
+      // A running container holds its own ports; a remote one's are on its host
+      if (containerState === 'running' || profile.remote) continue;
+      const conflicts = await checkPorts(profile.ports, publishAddress);
+      add(`ports:${profile.id}`, `Ports of ${profile.name}`, conflicts.length ? 'fail' : 'pass',
+        conflicts.length ? formatConflicts(conflicts) : 'Free',
+        conflicts.length ? 'Stop the program using them, or move the profile to free ports (Use Free Ports when starting, or mt5-server start --free-ports)' : null);
+    }
+
+    return checks;
+  }
+
+  // Everything support needs to know, already redacted
+  async report() {
+    const checks = await this.checks();
+    const runtime = this.runtime;
+    const installer = this.installer;
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      app: { version: this.appVersion, node: process.versions.node, electron: process.versions.electron || null },
+      system: {
+        platform: process.platform,
+        release: os.release(),
+        arch: process.arch,
+        cpus: os.cpus().length,
+        memory: os.totalmem(),
+        freeMemory: os.freemem()
+      },
+      runtime: runtime ? runtime.toJSON() : null,
+      machine: null,
+      images: [],
+      installState: installer.getState(),
+      settings: this.config ? this.config.get() : null,
+      profiles: this.profiles.list().map(({ vncPassword, ...profile }) => profile),
+      checks
+    };
+
+    if (runtime) {
+      if (runtime.needsMachine) {
+        const machines = await this.runCommand(`${runtime.bin} machine list --format json`);
+        report.machine = machines ? JSON.parse(machines) : null;
+      }
+      const images = await this.runCommand(
+        `${runtime.bin} images --format "{{.Repository}}:{{.Tag}}|{{.ID}}|{{.Digest}}|{{.Size}}|{{.CreatedAt}}"`
+      );
+      report.images = (images || '').split('\n').filter(Boolean).map((line) => {
+        const [name, id, digest, size, created] = line.split('|');
+        return { name, id, digest, size, created };
+      });
+    }
+
+    return redact(report, this.getSecrets());
+  }
+
+  // Write the support bundle; returns the report it contains
+  async exportBundle(file) {
+    const report = await this.report();
+    const secrets = this.getSecrets();
+    const files = { 'report.json': JSON.stringify(report, null, 2) };
+
+    const logDir = path.join(this.userDataPath, 'logs');
+    const tail = (name) => {
+      try {
+        return fs.readFileSync(path.join(logDir, name), 'utf8').split('\n').slice(-LOG_LINES).join('\n');
+      } catch {
+        return null;
+      }
+    };
+
+    const appLog = tail('app.log');
+    if (appLog) files['logs/app.log'] = redact(appLog, secrets);
+    const gatewayLog = tail('gateway.log');
+    if (gatewayLog) files['logs/gateway.log'] = redact(gatewayLog, secrets);
+
+    for (const profile of this.profiles.list()) {
+      const saved = tail(`${profile.id}.log`);
+      if (saved) files[`logs/${profile.id}.log`] = redact(saved, secrets);
+
+      if (!this.runtime) continue;
+      // start.sh output of the current container, even if it already exited
+      const output = await this.runCommand(`${this.runtimeFor(profile)} logs --tail ${LOG_LINES} ${profile.containerName} 2>&1`);
+      if (output) files[`containers/${profile.containerName}.log`] = redact(output, secrets);
+
+      const inspect = await this.runCommand(`${this.runtimeFor(profile)} inspect ${profile.containerName}`);
+      if (inspect) {
+        // Env holds VNC_PWD and, with env injection, the broker login
+        const data = JSON.parse(inspect).map(container => {
+          const env = container.Config && container.Config.Env;
+          if (env) {
+            container.Config.Env = env.map(entry => {
+              const [name] = entry.split('=');
+              return SECRET_KEY.test(name) ? `${name}=${REDACTED}` : entry;
+            });
+          }
+          return container;
+        });
+        files[`containers/${profile.containerName}-inspect.json`] = JSON.stringify(redact(data, secrets), null, 2);
+      }
+    }
+
+    fs.writeFileSync(file, createZip(files), { mode: 0o600 });
+    return report;
+  }
+}
+
+Doctor.redact = redact;
+Doctor.createZip = createZip;
+
+module.exports = Doctor;
@@ -0,0 +1,362 @@
+/**
+ * MT5 Server - RPyC Gateway
+ *
+ * Handles:
+ * 1. A TLS listener per profile in front of its loopback-only RPyC port
+ * 2. Client-certificate or token authentication
+ * 3. An IP allowlist checked before the TLS handshake
+ * 4. Connection log entries: who connected, how, for how long and how much
+ * 5. The token and self-signed certificate in userData/gateway (owner-only)
+ *
+ * Token clients send "MT5-TOKEN <token>\n" right after the handshake; the
+ * rest of the stream is plain RPyC. Certificate clients need no preamble.
+ */
+
+const tls = require('tls');
+const net = require('net');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const HANDSHAKE_TIMEOUT = 10000;
+const PREAMBLE = 'MT5-TOKEN ';
+const MAX_PREAMBLE = 256;
+const CERT_DAYS = 825;
+
+// Allowlist entries are addresses or CIDR ranges, validated by config.js
+function buildAllowlist(entries) {
+  if (!entries || entries.length === 0) return null;
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, Number(prefix), family);
+    }
+  }
+  return list;
+}
+
+// "::ffff:10.0.0.5" -> "10.0.0.5"
+function clientAddress(socket) {
+  return (socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.)/, '');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+class RpycGateway {
+  constructor(options) {
+    this.dir = path.join(options.userDataPath, 'gateway');
+    this.tokenFile = path.join(this.dir, 'token');
+    this.certFile = path.join(this.dir, 'server.crt');
+    this.keyFile = path.join(this.dir, 'server.key');
+    // { host, ports } a profile's ports answer on, or null while they can't be reached (e.g. tunnel down)
+    this.getEndpoint = options.getEndpoint;
+    // (level, text) -> connection log
+    this.log = options.log;
+    this.listeners = new Map(); // profile id -> { server, port, profile, error }
+    this.sockets = new Set();
+    this.settings = null;
+    this.context = null;
+    this.allowlist = null;
+  }
+
+  get running() {
+    return this.listeners.size > 0;
+  }
+
+  // Token, created on first use
+  getToken() {
+    try {
+      const token = fs.readFileSync(this.tokenFile, 'utf8').trim();
+      if (token) return token;
+    } catch {
+      // No token yet
+    }
+    return this.regenerateToken();
+  }
+
+  // Replace the token; connected clients keep their session until they reconnect
+  regenerateToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.ensureDir();
+    fs.writeFileSync(this.tokenFile, `${token}\n`, { mode: 0o600 });
+    return token;
+  }
+
+  // Owner-only directory for the token and the generated key
+  ensureDir() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.chmodSync(this.dir, 0o700);
+  }
+
+  // Configured certificate and key, else a self-signed pair made with openssl
+  async serverCertificate(settings) {
+    if (settings.certFile) {
+      return { cert: fs.readFileSync(settings.certFile), key: fs.readFileSync(settings.keyFile) };
+    }
+    if (!fs.existsSync(this.certFile) || !fs.existsSync(this.keyFile)) {
+      this.ensureDir();
+      // openssl keeps an existing file's mode, so the key is never readable by others
+      fs.rmSync(this.keyFile, { force: true });
+      fs.writeFileSync(this.keyFile, '', { mode: 0o600 });
+      await new Promise((resolve, reject) => {
+        execFile('openssl', [
+          'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+          '-days', String(CERT_DAYS),
+          '-subj', '/CN=MT5 Server RPyC gateway',
+          '-keyout', this.keyFile,
+          '-out', this.certFile
+        ], { timeout: 60000 }, (error) => {
+          if (error) {
+            reject(new Error(error.code === 'ENOENT'
+              ? 'openssl is not installed; set a certificate and key file instead'
+              : `Could not create a certificate: ${error.message}`));
+          } else {
+            resolve();
+          }
+        });
+      });
+      fs.chmodSync(this.keyFile, 0o600);
+    }
+    return { cert: fs.readFileSync(this.certFile), key: fs.readFileSync(this.keyFile) };
+  }
+
+  // SHA-256 fingerprint of the server certificate clients should pin, or null
+  fingerprint() {
+    try {
+      return new crypto.X509Certificate(fs.readFileSync(this.certificatePath())).fingerprint256;
+    } catch {
+      return null;
+    }
+  }
+
+  // Certificate file clients verify the gateway against
+  certificatePath() {
+    return this.settings && this.settings.certFile ? this.settings.certFile : this.certFile;
+  }
+
+  // Listen for every profile, restarting all listeners when the settings change.
+  // Port errors are kept per profile; certificate errors reject.
+  async configure(settings, profiles) {
+    const settingsChanged = JSON.stringify(settings) !== JSON.stringify(this.settings);
+    if (settingsChanged || !settings.enabled) {
+      await this.stop();
+    }
+    this.settings = settings;
+    if (!settings.enabled) return;
+
+    if (settingsChanged || !this.context) {
+      if (settings.auth === 'certificate' && !settings.clientCa) {
+        throw new Error('Certificate authentication needs the CA file that signs client certificates');
+      }
+      if (Boolean(settings.certFile) !== Boolean(settings.keyFile)) {
+        throw new Error('Set both the certificate and the key file, or neither');
+      }
+      const { cert, key } = await this.serverCertificate(settings);
+      this.context = {
+        cert,
+        key,
+        ca: settings.auth === 'certificate' ? fs.readFileSync(settings.clientCa) : undefined
+      };
+      this.allowlist = buildAllowlist(settings.allowlist);
+      if (settings.auth === 'token') this.getToken();
+    }
+
+    // Drop listeners of removed profiles or changed ports
+    for (const [profileId, listener] of [...this.listeners]) {
+      const profile = profiles.find(p => p.id === profileId);
+      if (!profile || this.portFor(profile) !== listener.port) {
+        await this.close(profileId);
+      } else {
+        listener.profile = profile;
+      }
+    }
+    for (const profile of profiles) {
+      if (!this.listeners.has(profile.id)) await this.listen(profile);
+    }
+  }
+
+  portFor(profile) {
+    return profile.ports.rpyc + this.settings.portOffset;
+  }
+
+  listen(profile) {
+    const port = this.portFor(profile);
+    const listener = { server: null, port, profile, error: null };
+    this.listeners.set(profile.id, listener);
+
+    const server = net.createServer(socket => this.accept(listener, socket));
+    return new Promise((resolve) => {
+      server.once('error', (err) => {
+        listener.error = err.code === 'EADDRINUSE' ? `Port ${port} is in use` : err.message;
+        this.log('error', `${profile.name}: cannot listen on ${this.settings.address}:${port}: ${listener.error}`);
+        resolve();
+      });
+      server.listen(port, this.settings.address, () => {
+        listener.server = server;
+        this.log('info', `${profile.name}: listening on ${this.settings.address}:${port} -> RPyC ${profile.ports.rpyc}`);
+        resolve();
+      });
+    });
+  }
+
+  close(profileId) {
+    const listener = this.listeners.get(profileId);
+    this.listeners.delete(profileId);
+    if (!listener || !listener.server) return Promise.resolve();
+    return new Promise(resolve => listener.server.close(() => resolve()));
+  }
+
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+    for (const profileId of [...this.listeners.keys()]) {
+      await this.close(profileId);
+    }
+    this.context = null;
+  }
+
+  // [{ profileId, name, port, error }] for Settings and the tray
+  status() {
+    return [...this.listeners.values()].map(l => ({
+      profileId: l.profile.id,
+      name: l.profile.name,
+      port: l.port,
+      error: l.error
+    }));
+  }
+
+  accept(listener, socket) {
+    const address = clientAddress(socket);
+    const name = listener.profile.name;
+    if (this.allowlist && !this.allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')) {
+      this.log('warn', `${name}: refused ${address} (not in the allowlist)`);
+      socket.destroy();
+      return;
+    }
+
+    const certificateAuth = this.settings.auth === 'certificate';
+    const secure = new tls.TLSSocket(socket, {
+      isServer: true,
+      ...this.context,
+      requestCert: certificateAuth,
+      rejectUnauthorized: certificateAuth
+    });
+    this.sockets.add(secure);
+    const timer = setTimeout(() => {
+      this.log('warn', `${name}: ${address} did not authenticate in time`);
+      secure.destroy();
+    }, HANDSHAKE_TIMEOUT);
+
+    let authenticated = false;
+    secure.on('error', (err) => {
+      if (!authenticated) this.log('warn', `${name}: ${address} failed the TLS handshake: ${err.reason || err.message}`);
+    });
+    secure.on('close', () => {
+      clearTimeout(timer);
+      this.sockets.delete(secure);
+    });
+
+    secure.once('secure', () => {
+      if (certificateAuth) {
+        const subject = secure.getPeerCertificate().subject || {};
+        clearTimeout(timer);
+        authenticated = true;
+        this.forward(listener, secure, address, `certificate ${subject.CN || 'without CN'}`, Buffer.alloc(0));
+        return;
+      }
+
+      // Token preamble, then RPyC
+      let pending = Buffer.alloc(0);
+      const onData = (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        const end = pending.indexOf(0x0a);
+        if (end === -1) {
+          if (pending.length > MAX_PREAMBLE) this.reject(secure, name, address, 'no token');
+          return;
+        }
+        secure.removeListener('data', onData);
+        secure.pause();
+        clearTimeout(timer);
+        const line = pending.subarray(0, end).toString().replace(/\r$/, '');
+        if (!line.startsWith(PREAMBLE) || !this.tokenMatches(line.slice(PREAMBLE.length).trim())) {
+          this.reject(secure, name, address, 'invalid token');
+          return;
+        }
+        authenticated = true;
+        this.forward(listener, secure, address, 'token', pending.subarray(end + 1));
+      };
+      secure.on('data', onData);
+    });
+  }
+
+  tokenMatches(given) {
+    const givenBytes = Buffer.from(given);
+    const expectedBytes = Buffer.from(this.getToken());
+    return givenBytes.length === expectedBytes.length && crypto.timingSafeEqual(givenBytes, expectedBytes);
+  }
+
+  reject(secure, name, address, reason) {
+    this.log('warn', `${name}: refused ${address} (${reason})`);
+    secure.destroy();
+  }
+
+  // Pipe an authenticated client to the profile's RPyC port
+  forward(listener, secure, address, method, initial) {
+    const profile = listener.profile;
+    const endpoint = this.getEndpoint(profile);
+    if (!endpoint) {
+      this.log('warn', `${profile.name}: ${address} authenticated by ${method}, but the container can't be reached`);
+      secure.destroy();
+      return;
+    }
+
+    const started = Date.now();
+    let received = initial.length;
+    let sent = 0;
+    let connected = false;
+    const upstream = net.connect(endpoint.ports.rpyc, endpoint.host);
+    upstream.on('connect', () => {
+      connected = true;
+      this.log('info', `${profile.name}: ${address} connected (${method})`);
+      if (initial.length) upstream.write(initial);
+      secure.on('data', (chunk) => { received += chunk.length; });
+      upstream.on('data', (chunk) => { sent += chunk.length; });
+      secure.pipe(upstream);
+      upstream.pipe(secure);
+      secure.resume();
+    });
+    upstream.on('error', (err) => {
+      if (connected) return;
+      this.log('warn', `${profile.name}: ${address} authenticated by ${method}, but RPyC is not answering: ${err.message}`);
+      secure.destroy();
+    });
+
+    let closed = false;
+    const done = () => {
+      if (closed) return;
+      closed = true;
+      upstream.destroy();
+      secure.destroy();
+      const seconds = Math.round((Date.now() - started) / 1000);
+      this.log('info', `${profile.name}: ${address} disconnected after ${seconds}s ` +
+        `(${formatBytes(received)} in, ${formatBytes(sent)} out)`);
+    };
+    upstream.on('connect', () => {
+      upstream.on('close', done);
+      secure.on('close', done);
+    });
+  }
+}
+
+RpycGateway.PREAMBLE = PREAMBLE;
+
+module.exports = RpycGateway;
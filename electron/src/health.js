@@ -0,0 +1,264 @@
+/**
+ * MT5 Server - Health Monitor
+ *
+ * Handles:
+ * 1. Periodic checks of container state, terminal process and ports
+ * 2. Status change events for the tray and windows
+ * 3. Automatic restarts with exponential backoff and a retry cap
+ * 4. Incident history in userData/health-history.json
+ *
+ * A remote host that can't be reached only degrades its profiles: restarting
+ * a container nobody can see would do more harm than good.
+ */
+
+const { exec } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const { checkHttp, checkTcp } = require('./readiness');
+
+const MAX_HISTORY = 200;
+
+// A container that stays healthy this long gets its retry budget back
+const STABLE_AFTER = 10 * 60 * 1000;
+
+class HealthMonitor extends EventEmitter {
+  constructor(options) {
+    super();
+    this.getRuntime = options.getRuntime;
+    // profile -> { host, ports } its ports answer on, or null while they can't be probed (tunnel down)
+    this.getEndpoint = options.getEndpoint || (profile => ({ host: '127.0.0.1', ports: profile.ports }));
+    this.restart = options.restart;
+    this.historyFile = path.join(options.userDataPath, 'health-history.json');
+    this.configure(options.settings || {});
+
+    this.watched = new Map(); // profile id -> entry
+    this.timer = null;
+    this.checking = false;
+  }
+
+  configure(settings) {
+    this.interval = (settings.interval || 15) * 1000;
+    this.failureThreshold = settings.failureThreshold || 2;
+    this.autoRestart = settings.autoRestart !== false;
+    this.maxRetries = settings.maxRetries ?? 5;
+    this.backoffBase = (settings.backoffBase || 10) * 1000;
+    this.backoffMax = (settings.backoffMax || 300) * 1000;
+
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Begin monitoring a profile that is up and ready
+  watch(profile) {
+    const existing = this.watched.get(profile.id);
+    this.watched.set(profile.id, {
+      profile,
+      status: 'healthy',
+      reason: null,
+      failures: 0,
+      attempts: existing ? existing.attempts : 0,
+      healthySince: Date.now(),
+      retryAt: 0,
+      restarting: false
+    });
+    this.emitStatus(profile.id);
+  }
+
+  // Stop monitoring (user stopped the container, profile removed, ...)
+  unwatch(profileId) {
+    if (this.watched.delete(profileId)) {
+      this.emit('status', profileId, { status: 'stopped', reason: null });
+    }
+  }
+
+  getStatus(profileId) {
+    const entry = this.watched.get(profileId);
+    if (!entry) return { status: 'stopped', reason: null };
+    return { status: entry.status, reason: entry.reason, attempts: entry.attempts };
+  }
+
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      for (const entry of this.watched.values()) {
+        if (entry.restarting || entry.status === 'failed') continue;
+        if (entry.retryAt && Date.now() < entry.retryAt) continue;
+        await this.checkEntry(entry);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async checkEntry(entry) {
+    const result = await this.checkProfile(entry.profile);
+
+    // The profile may have been unwatched while the check ran
+    if (this.watched.get(entry.profile.id) !== entry) return;
+
+    if (result.ok) {
+      if (entry.status !== 'healthy') {
+        entry.healthySince = Date.now();
+        this.record(entry.profile, 'recovered', 'All checks passing');
+      }
+      if (entry.attempts > 0 && Date.now() - entry.healthySince > STABLE_AFTER) {
+        entry.attempts = 0;
+      }
+      entry.failures = 0;
+      entry.retryAt = 0;
+      this.setStatus(entry, 'healthy', null);
+      return;
+    }
+
+    if (result.unreachable) {
+      this.setStatus(entry, 'degraded', result.reason);
+      return;
+    }
+
+    entry.failures++;
+    this.setStatus(entry, entry.failures >= this.failureThreshold ? 'down' : 'degraded', result.reason);
+
+    if (entry.failures === this.failureThreshold) {
+      this.record(entry.profile, 'failure', result.reason);
+    }
+    if (entry.failures >= this.failureThreshold) {
+      await this.recover(entry, result.reason);
+    }
+  }
+
+  // Run every check; the first failing one is reported
+  async checkProfile(profile) {
+    const runtime = this.getRuntime(profile);
+    const endpoint = this.getEndpoint(profile);
+
+    const state = await this.run(
+      `${runtime} inspect --format "{{.State.Status}}|{{.State.ExitCode}}" ${profile.containerName}`);
+    if (state === null) {
+      // Over SSH a failed inspect may only mean the host is out of reach
+      if (profile.remote && (await this.run(`${runtime} version`)) === null) {
+        return { ok: false, unreachable: true, reason: `Cannot reach ${profile.remote.host}` };
+      }
+      return { ok: false, reason: 'Container no longer exists' };
+    }
+    const [status, exitCode] = state.split('|');
+    if (status !== 'running') {
+      return { ok: false, reason: `Container ${status} (exit code ${exitCode})` };
+    }
+
+    const terminal = await this.run(`${runtime} exec ${profile.containerName} pgrep -f terminal64.exe`);
+    if (!terminal) {
+      return { ok: false, reason: 'MT5 terminal (terminal64.exe) is not running' };
+    }
+
+    if (!endpoint) {
+      return { ok: false, unreachable: true, reason: 'SSH tunnel to the host is down' };
+    }
+
+    if (!(await checkHttp(endpoint.host, endpoint.ports.novnc, '/vnc.html'))) {
+      return { ok: false, reason: `noVNC not responding on port ${profile.ports.novnc}` };
+    }
+
+    if (!(await checkTcp(endpoint.host, endpoint.ports.rpyc))) {
+      return { ok: false, reason: `RPyC not accepting connections on port ${profile.ports.rpyc}` };
+    }
+
+    return { ok: true };
+  }
+
+  async recover(entry, reason) {
+    if (!this.autoRestart) return;
+
+    if (entry.attempts >= this.maxRetries) {
+      this.setStatus(entry, 'failed', `${reason} (gave up after ${entry.attempts} restarts)`);
+      this.record(entry.profile, 'gave-up', `Not restarting after ${entry.attempts} attempts: ${reason}`);
+      return;
+    }
+
+    entry.attempts++;
+    entry.restarting = true;
+    this.setStatus(entry, 'restarting', reason);
+    this.record(entry.profile, 'restart', `Restart ${entry.attempts}/${this.maxRetries}: ${reason}`);
+
+    try {
+      await this.restart(entry.profile);
+      entry.failures = 0;
+      entry.retryAt = 0;
+      this.setStatus(entry, 'healthy', null);
+      this.record(entry.profile, 'recovered', `Restart ${entry.attempts} succeeded`);
+    } catch (err) {
+      // Wait longer after every failed attempt
+      const delay = Math.min(this.backoffBase * 2 ** (entry.attempts - 1), this.backoffMax);
+      entry.retryAt = Date.now() + delay;
+      this.setStatus(entry, 'down', err.message.split('\n')[0]);
+      this.record(entry.profile, 'failure',
+        `Restart ${entry.attempts} failed, next try in ${Math.round(delay / 1000)}s: ${err.message.split('\n')[0]}`);
+    } finally {
+      entry.restarting = false;
+    }
+  }
+
+  setStatus(entry, status, reason) {
+    const changed = entry.status !== status || entry.reason !== reason;
+    entry.status = status;
+    entry.reason = reason;
+    if (changed) this.emitStatus(entry.profile.id);
+  }
+
+  emitStatus(profileId) {
+    this.emit('status', profileId, this.getStatus(profileId));
+  }
+
+  run(command) {
+    return new Promise((resolve) => {
+      exec(command, { timeout: 15000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+    });
+  }
+
+  // Incident history
+
+  record(profile, type, message) {
+    const incident = {
+      time: new Date().toISOString(),
+      profileId: profile.id,
+      profileName: profile.name,
+      type,
+      message
+    };
+
+    const history = [incident, ...this.getHistory()].slice(0, MAX_HISTORY);
+    try {
+      fs.writeFileSync(this.historyFile, JSON.stringify(history, null, 2));
+    } catch (err) {
+      console.error('Failed to write health history:', err.message);
+    }
+    this.emit('incident', incident);
+  }
+
+  getHistory() {
+    try {
+      return JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+    } catch {
+      return [];
+    }
+  }
+
+  clearHistory() {
+    fs.rmSync(this.historyFile, { force: true });
+  }
+}
+
+module.exports = HealthMonitor;
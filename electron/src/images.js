@@ -0,0 +1,113 @@
+/**
+ * MT5 Server - Image Catalog
+ *
+ * Handles:
+ * 1. Mapping the host architecture to the MT5 image tag and bundled tar
+ * 2. Bundles that ship one tar per architecture (or the older single tar)
+ * 3. Inspecting a loaded image's real architecture and digest
+ * 4. Refusing images built for another architecture
+ */
+
+const { exec } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+const REPOSITORY = 'localhost/avyaktha-mt5';
+// Broker build the bundle ships; brokers.js lists the others
+const FLAVOR = 'eightcap';
+
+// Image variant per host architecture; `platform` is the image's own
+// Architecture field, `tar` the file prepare-bundle.sh writes for it
+const CATALOG = {
+  arm64: { tag: `${FLAVOR}-arm64`, platform: 'arm64', tar: 'mt5-server-arm64.tar' },
+  x86: { tag: `${FLAVOR}-x86`, platform: 'amd64', tar: 'mt5-server-x86.tar' }
+};
+
+// Single-architecture bundles from before per-arch tars
+const LEGACY_TAR = 'mt5-server.tar';
+
+// Node's process.arch -> catalog key
+function archKey(arch = process.arch) {
+  if (arch === 'arm64') return 'arm64';
+  return 'x86'; // x64, ia32, etc. all use x86 image
+}
+
+// { arch, image, platform, tar } for a host architecture
+function entryFor(arch = process.arch) {
+  const key = archKey(arch);
+  const entry = CATALOG[key];
+  return { arch: key, image: `${REPOSITORY}:${entry.tag}`, platform: entry.platform, tar: entry.tar };
+}
+
+// Image used for new profiles on this host
+function defaultImage(arch = process.arch) {
+  return entryFor(arch).image;
+}
+
+// Bundled tar for a host architecture, or null if the bundle has none
+function bundledTar(bundledPath, arch = process.arch) {
+  const candidates = [entryFor(arch).tar, LEGACY_TAR].map(name => path.join(bundledPath, name));
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// Catalog keys the bundle ships a tar for (the legacy tar's arch is unknown until loaded)
+function bundledArches(bundledPath) {
+  return Object.keys(CATALOG).filter(key => fs.existsSync(path.join(bundledPath, CATALOG[key].tar)));
+}
+
+// 'aarch64' / 'arm64' -> 'arm64', 'x86_64' / 'amd64' -> 'amd64'
+function normalizeArch(name) {
+  const value = String(name || '').toLowerCase();
+  if (['aarch64', 'arm64', 'arm64v8'].includes(value)) return 'arm64';
+  if (['x86_64', 'x86-64', 'amd64', 'x64'].includes(value)) return 'amd64';
+  return value || null;
+}
+
+// { id, digest, architecture, os } of a local image, or null if it isn't there.
+// Images loaded from a tar have no repo digest until pushed or pulled.
+function inspectImage(runtime, imageName) {
+  return new Promise((resolve) => {
+    exec(`${runtime} image inspect --format "{{.Id}}|{{json .RepoDigests}}|{{.Architecture}}|{{.Os}}" ${imageName}`,
+      { timeout: 30000 }, (error, stdout) => {
+        if (error || !stdout.trim()) return resolve(null);
+        const [id, digests, architecture, imageOs] = stdout.trim().split('\n')[0].split('|');
+        let repoDigests = [];
+        try {
+          repoDigests = JSON.parse(digests || '[]') || [];
+        } catch {
+          // Older runtimes print Go syntax for an empty list
+        }
+        resolve({
+          id,
+          digest: repoDigests.length ? repoDigests[0].split('@')[1] || null : null,
+          architecture: normalizeArch(architecture),
+          os: imageOs || null
+        });
+      });
+  });
+}
+
+// Why an inspected image can't run on this host, or null if it can
+function checkArchitecture(imageName, info, arch = process.arch) {
+  const entry = entryFor(arch);
+  if (!info || !info.architecture || info.architecture === entry.platform) return null;
+  const fix = imageName === entry.image
+    ? `Install the ${entry.arch} build of MT5 Server and use Maintenance → Repair Installation.`
+    : `Pick ${entry.image} for the profile in Settings.`;
+  return `${imageName} is built for ${info.architecture}, but this computer runs ${entry.platform} images ` +
+    `(emulation is too slow for MT5). ${fix}`;
+}
+
+module.exports = {
+  REPOSITORY,
+  CATALOG,
+  LEGACY_TAR,
+  archKey,
+  entryFor,
+  defaultImage,
+  bundledTar,
+  bundledArches,
+  normalizeArch,
+  inspectImage,
+  checkArchitecture
+};
@@ -2,21 +2,75 @@
  * MT5 Server - Silent Installer Module
  * 
  * Handles:
- * 1. Bundled Podman extraction and setup
- * 2. Container image loading from bundled tar
- * 3. First-run initialization
- * 4. All without user intervention
+ * 1. Container runtime detection (Podman, Docker) and bundled Podman setup
+ * 2. Container image loading from the bundled tar for this architecture
+ * 3. First-run initialization, resumable step by step
+ * 4. Checksums of bundled files, repair of drifted steps and uninstall
+ * 5. Podman machine sizing and resizing
+ * 6. All without user intervention
  */
 
-const { app } = require('electron');
 const { exec, execSync, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const ContainerRuntime = require('./runtime');
+const { entryFor, defaultImage, bundledTar, inspectImage, checkArchitecture } = require('./images');
+
+// Install steps in order; ids match the step list in install.html
+const STEPS = [
+  { id: 'podman', message: 'Setting up container runtime...', progress: 10 },
+  { id: 'machine', message: 'Starting container engine...', progress: 30 },
+  { id: 'image', message: 'Loading MT5 container image...', progress: 50 },
+  { id: 'verify', message: 'Verifying installation...', progress: 90 }
+];
+
+const MACHINE_NAME = 'podman-machine-default';
+
+// Podman machine size when config.json has none: cpus, memory (MB), diskSize (GB)
+const MACHINE_DEFAULTS = { cpus: 2, memory: 4096, diskSize: 20 };
+
+// Paths from Electron; the headless CLI passes its own
+function electronPaths() {
+  const { app } = require('electron');
+  const appPath = app.getAppPath();
+  return {
+    appPath,
+    userDataPath: app.getPath('userData'),
+    bundledPath: app.isPackaged
+      ? path.join(process.resourcesPath, 'bundled')
+      : path.join(appPath, 'bundled')
+  };
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Whether a file still matches a recorded { size, mtimeMs }
+function sameFile(record, file) {
+  try {
+    const stat = fs.statSync(file);
+    return stat.size === record.size && stat.mtimeMs === record.mtimeMs;
+  } catch {
+    return false;
+  }
+}
 
 class SilentInstaller {
-  constructor(onProgress) {
+  constructor(onProgress, options = {}) {
     this.onProgress = onProgress || (() => {});
+    this.runtimePreference = options.runtime || { engine: 'auto', path: null };
+    this.runtime = null; // ContainerRuntime once detected
+    this.paths = options.paths || null; // { appPath, userDataPath, bundledPath } outside Electron
+    this.machine = { ...MACHINE_DEFAULTS, ...options.machine };
     this.platform = process.platform; // 'darwin', 'linux', 'win32'
     this.initialized = false;
     
@@ -27,7 +81,7 @@ class SilentInstaller {
     this.localPodmanPath = null;
     this.podmanBin = 'podman';
     this.imageTarPath = null;
-    this.imageName = 'localhost/avyaktha-mt5:eightcap-arm64';
+    this.imageName = defaultImage();
     this.stateFile = null;
   }
 
@@ -35,20 +89,19 @@ class SilentInstaller {
   init() {
     if (this.initialized) return;
     
-    this.appPath = app.getAppPath();
-    this.userDataPath = app.getPath('userData');
+    const paths = this.paths || electronPaths();
+    this.appPath = paths.appPath;
+    this.userDataPath = paths.userDataPath;
     
     // Paths for bundled resources
-    this.bundledPath = app.isPackaged 
-      ? path.join(process.resourcesPath, 'bundled')
-      : path.join(this.appPath, 'bundled');
+    this.bundledPath = paths.bundledPath;
     
     // Local podman path (extracted)
     this.localPodmanPath = path.join(this.userDataPath, 'podman');
     this.podmanBin = this.getPodmanBinPath();
     
-    // Container image
-    this.imageTarPath = path.join(this.bundledPath, 'mt5-server.tar');
+    // Container image: this architecture's tar, or the single tar of older bundles
+    this.imageTarPath = bundledTar(this.bundledPath) || path.join(this.bundledPath, entryFor().tar);
     
     // Installation state
     this.stateFile = path.join(this.userDataPath, 'install-state.json');
@@ -74,17 +127,21 @@ class SilentInstaller {
     this.init(); // Ensure initialized
     try {
       const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
-      return state.installed === true && state.imageLoaded === true;
+      // States written before step tracking have no `steps`
+      const stepsDone = !state.steps || STEPS.every(step => state.steps[step.id]);
+      return state.installed === true && state.imageLoaded === true && stepsDone;
     } catch {
       return false;
     }
   }
 
-  // Save installation state
+  // Save installation state (via a temp file so a crash mid-write can't lose finished steps)
   saveState(state) {
     const currentState = this.getState();
     const newState = { ...currentState, ...state, updatedAt: new Date().toISOString() };
-    fs.writeFileSync(this.stateFile, JSON.stringify(newState, null, 2));
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(newState, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
   }
 
   getState() {
@@ -95,7 +152,7 @@ class SilentInstaller {
     }
   }
 
-  // Main installation flow
+  // Main installation flow; steps finished by an earlier, interrupted run are skipped
   async install() {
     this.init(); // Ensure initialized
     if (this.isInstalled()) {
@@ -103,99 +160,339 @@ class SilentInstaller {
       return true;
     }
 
+    let current = null;
     try {
-      // Step 1: Check/Setup Podman
-      this.onProgress({ step: 'podman', message: 'Setting up container runtime...', progress: 10 });
-      await this.setupPodman();
-
-      // Step 2: Initialize Podman machine (macOS/Windows)
-      if (this.platform === 'darwin' || this.platform === 'win32') {
-        this.onProgress({ step: 'machine', message: 'Initializing Podman machine...', progress: 30 });
-        await this.initPodmanMachine();
-      }
+      for (const step of STEPS) {
+        current = step;
+        this.onProgress({ step: step.id, message: step.message, progress: step.progress });
 
-      // Step 3: Load container image
-      this.onProgress({ step: 'image', message: 'Loading MT5 container image...', progress: 50 });
-      await this.loadContainerImage();
-
-      // Step 4: Verify installation
-      this.onProgress({ step: 'verify', message: 'Verifying installation...', progress: 90 });
-      await this.verifyInstallation();
+        // Resume: trust a recorded step only if it still checks out
+        if (this.getState().steps?.[step.id] && !(await this.checkStep(step.id))) {
+          continue;
+        }
+        await this.runStep(step.id);
+      }
 
       // Done
-      this.saveState({ installed: true, imageLoaded: true, installedAt: new Date().toISOString() });
+      this.saveState({ installed: true, imageLoaded: true, installedAt: new Date().toISOString(), lastError: null });
       this.onProgress({ step: 'complete', message: 'Installation complete!', progress: 100 });
       
       return true;
     } catch (error) {
+      this.saveState({ lastError: { step: current.id, message: error.message, at: new Date().toISOString() } });
       this.onProgress({ step: 'error', message: `Installation failed: ${error.message}`, progress: 0 });
       throw error;
     }
   }
 
-  // Setup Podman - check system or extract bundled
-  async setupPodman() {
-    // First check if system podman exists
-    if (await this.checkSystemPodman()) {
-      this.podmanBin = this.systemPodmanPath;
-      this.saveState({ podmanSource: 'system', podmanPath: this.systemPodmanPath });
-      return;
+  // Re-check every step and redo the ones that drifted (deleted image, machine, ...)
+  async repair() {
+    this.init();
+    this.runtime = null; // Detect again in case the runtime moved
+    const fixed = [];
+
+    try {
+      for (const step of STEPS) {
+        this.onProgress({ step: step.id, message: `Checking: ${step.message.replace(/\.+$/, '')}`, progress: step.progress });
+        const problem = this.getState().steps?.[step.id] ? await this.checkStep(step.id) : 'never completed';
+        if (!problem) continue;
+
+        this.onProgress({ step: step.id, message: `Repairing (${problem})...`, progress: step.progress });
+        await this.runStep(step.id, { force: true });
+        fixed.push(`${step.id}: ${problem}`);
+      }
+
+      this.saveState({ installed: true, imageLoaded: true, repairedAt: new Date().toISOString(), lastError: null });
+      this.onProgress({
+        step: 'complete',
+        message: fixed.length ? `Repaired ${fixed.length} problem(s)` : 'No problems found',
+        progress: 100
+      });
+      return fixed;
+    } catch (error) {
+      this.onProgress({ step: 'error', message: `Repair failed: ${error.message}`, progress: 0 });
+      throw error;
     }
+  }
 
-    // Check if we already extracted bundled podman
-    if (fs.existsSync(this.podmanBin)) {
-      this.saveState({ podmanSource: 'bundled' });
-      return;
+  // Run one step and record what it produced
+  async runStep(id, options = {}) {
+    let details = {};
+
+    switch (id) {
+      case 'podman': {
+        await this.setupRuntime();
+        details = { engine: this.runtime.engine, bin: this.runtime.bin, version: this.runtime.version };
+        if (this.runtime.bin === this.podmanBin && fs.existsSync(this.getBundledPodmanTar())) {
+          details.checksum = await this.verifiedChecksum(this.getBundledPodmanTar());
+        }
+        break;
+      }
+      case 'machine':
+        if (this.runtime.needsMachine) {
+          await this.initPodmanMachine();
+        } else {
+          await this.runtime.checkEngine();
+        }
+        break;
+      case 'image': {
+        if (fs.existsSync(this.imageTarPath)) {
+          this.onProgress({ step: 'image', message: 'Checking bundled image archive...', progress: 55 });
+          details = { archive: await this.archiveRecord(this.imageTarPath) };
+        }
+        await this.loadContainerImage(options);
+        const info = await this.imageInfo(this.imageName);
+        details = { ...details, imageId: info && info.id, architecture: info && info.architecture, digest: info && info.digest };
+        break;
+      }
+      case 'verify':
+        await this.verifyInstallation();
+        break;
+      default:
+        throw new Error(`Unknown install step: ${id}`);
     }
 
-    // Extract bundled podman
-    await this.extractBundledPodman();
-    this.saveState({ podmanSource: 'bundled' });
-  }
-
-  // Check if system has podman installed and get its path
-  async checkSystemPodman() {
-    // Common podman locations
-    const podmanPaths = this.platform === 'win32' ? [
-      'C:\\Program Files\\RedHat\\Podman\\podman.exe',  // Podman Desktop Windows
-      path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Podman', 'podman.exe'),
-      'podman'                          // In PATH
-    ] : [
-      '/opt/homebrew/bin/podman',      // Homebrew ARM64
-      '/usr/local/bin/podman',          // Homebrew Intel
-      '/opt/podman/bin/podman',         // Podman Desktop
-      '/usr/bin/podman',                // Linux
-      'podman'                          // In PATH
-    ];
-
-    for (const podmanPath of podmanPaths) {
-      try {
-        await this.runCommand(`${podmanPath} --version`);
-        this.systemPodmanPath = podmanPath;
-        return true;
-      } catch {
-        continue;
+    const steps = this.getState().steps || {};
+    steps[id] = { ...details, completedAt: new Date().toISOString() };
+    this.saveState({ steps });
+  }
+
+  // Null if a recorded step still holds, otherwise what drifted
+  async checkStep(id) {
+    const record = this.getState().steps?.[id] || {};
+
+    switch (id) {
+      case 'podman': {
+        const runtime = record.bin && await ContainerRuntime.identify(record.bin);
+        if (!runtime) return 'container runtime missing';
+        if (record.checksum && fs.existsSync(this.getBundledPodmanTar()) &&
+            await sha256File(this.getBundledPodmanTar()) !== record.checksum) {
+          return 'bundled Podman changed';
+        }
+        this.runtime = this.runtime || runtime;
+        return null;
+      }
+      case 'machine':
+        if (!this.runtime) await this.getRuntime();
+        if (!this.runtime.needsMachine) {
+          return this.runtime.checkEngine().then(() => null, err => err.message);
+        }
+        return (await this.machineState()) === 'running' ? null : 'Podman machine missing or stopped';
+      case 'image': {
+        if (!this.runtime) await this.getRuntime();
+        const info = await this.imageInfo(this.imageName);
+        if (!info) return 'image missing';
+        if (record.imageId && info.id !== record.imageId) return 'image replaced';
+        if (checkArchitecture(this.imageName, info)) return `image built for ${info.architecture}`;
+        if (record.archive && fs.existsSync(this.imageTarPath) && !sameFile(record.archive, this.imageTarPath)) {
+          return 'bundled image changed';
+        }
+        return null;
       }
+      case 'verify':
+        if (!this.runtime) await this.getRuntime();
+        return this.verifyInstallation().then(() => null, err => err.message);
+      default:
+        return `unknown step ${id}`;
+    }
+  }
+
+  // Checksum of a bundled file, checked against bundled/checksums.sha256 when present
+  async verifiedChecksum(file) {
+    const checksum = await sha256File(file);
+    const expected = this.expectedChecksums()[path.basename(file)];
+    if (expected && expected !== checksum) {
+      throw new Error(`${path.basename(file)} is corrupt (checksum mismatch). Please download the installer again.`);
+    }
+    return checksum;
+  }
+
+  // Hashing the multi-GB image archive is slow, so reuse the last result while size and mtime match
+  async archiveRecord(file) {
+    const previous = this.getState().steps?.image?.archive;
+    if (previous && sameFile(previous, file)) return previous;
+
+    const stat = fs.statSync(file);
+    return { size: stat.size, mtimeMs: stat.mtimeMs, checksum: await this.verifiedChecksum(file) };
+  }
+
+  expectedChecksums() {
+    try {
+      const lines = fs.readFileSync(path.join(this.bundledPath, 'checksums.sha256'), 'utf8').split('\n');
+      // sha256sum format: "<hex>  <file>"
+      return Object.fromEntries(lines
+        .map(line => line.trim().match(/^([a-f0-9]{64})\s+\*?(.+)$/))
+        .filter(Boolean)
+        .map(match => [path.basename(match[2]), match[1]]));
+    } catch {
+      return {};
     }
-    return false;
+  }
+
+  imageId(imageName) {
+    return this.runCommand(`${this.runtime.bin} image inspect --format "{{.Id}}" ${imageName}`)
+      .catch(() => null);
+  }
+
+  // { id, digest, architecture, os } of a local image, or null
+  imageInfo(imageName) {
+    return inspectImage(this.runtime.bin, imageName);
+  }
+
+  // 'running', 'stopped' or null when the default machine doesn't exist
+  async machineState() {
+    const output = await this.runCommand(`${this.runtime.bin} machine list --format "{{.Name}}|{{.Running}}"`)
+      .catch(() => '');
+    const line = output.split('\n').find(l => l.startsWith('podman-machine-default'));
+    if (!line) return null;
+    return line.split('|')[1] === 'true' ? 'running' : 'stopped';
+  }
+
+  // Size and state of the Podman machine, or null without one
+  async machineInfo() {
+    const output = await this.runCommand(`${this.runtime.bin} machine inspect ${MACHINE_NAME}`).catch(() => null);
+    if (!output) return null;
+    try {
+      const [machine] = JSON.parse(output);
+      const resources = machine.Resources || {};
+      return {
+        cpus: resources.CPUs,
+        memory: resources.Memory, // MB
+        diskSize: resources.DiskSize, // GB
+        state: machine.State || null
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  // Apply a new { cpus, memory, diskSize } to the Podman machine; it is
+  // restarted, so containers must be stopped first. Disks can only grow.
+  async resizeMachine(size) {
+    this.init();
+    await this.getRuntime();
+    this.machine = { ...this.machine, ...size };
+    if (!this.runtime.needsMachine) return false;
+
+    const current = await this.machineInfo();
+    if (!current) return false; // Created with the new size on next start
+
+    const { cpus, memory, diskSize } = this.machine;
+    if (diskSize < current.diskSize) {
+      throw new Error(`The machine disk is ${current.diskSize} GB and cannot be shrunk`);
+    }
+    const args = [];
+    if (cpus !== current.cpus) args.push(`--cpus ${cpus}`);
+    if (memory !== current.memory) args.push(`--memory ${memory}`);
+    if (diskSize !== current.diskSize) args.push(`--disk-size ${diskSize}`);
+    if (args.length === 0) return false;
+
+    this.onProgress({ step: 'machine', message: 'Resizing Podman machine...', progress: 30 });
+    if (current.state === 'running') {
+      await this.runCommand(`${this.runtime.bin} machine stop ${MACHINE_NAME}`, { timeout: 120000 });
+    }
+    await this.runCommand(`${this.runtime.bin} machine set ${args.join(' ')} ${MACHINE_NAME}`, { timeout: 120000 });
+    await this.runCommand(`${this.runtime.bin} machine start ${MACHINE_NAME}`, { timeout: 120000 });
+    return true;
+  }
+
+  // Remove what the app installed; containers, volumes and images come from the caller
+  async uninstall({ containers = [], volumes = [], images = [] } = {}) {
+    this.init();
+    const errors = [];
+    const attempt = (command) => this.runCommand(command, { timeout: 120000 })
+      .catch(err => errors.push(err.message.split('\n')[0]));
+
+    // Don't detect or extract anything new just to remove it again
+    const state = this.getState();
+    this.runtime = this.runtime || (state.runtimePath && await ContainerRuntime.identify(state.runtimePath)) || null;
+
+    if (this.runtime) {
+      if (containers.length) await attempt(`${this.runtime.bin} rm -f ${containers.join(' ')}`);
+      if (volumes.length) await attempt(`${this.runtime.bin} volume rm -f ${volumes.join(' ')}`);
+      const allImages = [...new Set([...images, this.imageName])];
+      for (const image of allImages) {
+        const imageId = await this.imageId(image);
+        if (imageId) await attempt(`${this.runtime.bin} rmi -f ${image}`);
+      }
+
+      // Only the machine we created for bundled Podman is ours to delete
+      if (state.runtimeSource === 'bundled' && this.runtime.needsMachine) {
+        await attempt(`${this.runtime.bin} machine rm -f podman-machine-default`);
+      }
+    }
+
+    fs.rmSync(this.localPodmanPath, { recursive: true, force: true });
+    fs.rmSync(this.stateFile, { force: true });
+    this.runtime = null;
+    return errors;
+  }
+
+  // Setup runtime - system Podman/Docker (or the configured binary), else bundled Podman
+  async setupRuntime() {
+    if (this.runtime) return this.runtime;
+
+    const preference = this.runtimePreference;
+    try {
+      // An already extracted bundled Podman counts as installed
+      this.runtime = await ContainerRuntime.detect(preference, [this.podmanBin]);
+    } catch (error) {
+      // Fall back to bundled Podman unless the user asked for something else, or
+      // a stopped Docker explains the failure better than "not installed" would
+      const canExtract = fs.existsSync(this.getBundledPodmanTar());
+      if (preference.path || preference.engine === 'docker' || (!error.notFound && !canExtract)) {
+        throw error;
+      }
+      await this.extractBundledPodman();
+      this.runtime = await ContainerRuntime.identify(this.podmanBin);
+      if (!this.runtime) {
+        throw new Error('Bundled Podman could not be started');
+      }
+    }
+
+    this.recordRuntime();
+    return this.runtime;
+  }
+
+  // Use a runtime chosen in settings from now on
+  useRuntime(runtime, preference) {
+    this.init();
+    this.runtime = runtime;
+    this.runtimePreference = preference;
+    this.recordRuntime();
+  }
+
+  recordRuntime() {
+    this.saveState({
+      runtime: this.runtime.engine,
+      runtimePath: this.runtime.bin,
+      runtimeVersion: this.runtime.version,
+      runtimeSource: this.runtime.bin === this.podmanBin ? 'bundled' : 'system'
+    });
+  }
+
+  getBundledPodmanTar() {
+    return path.join(this.bundledPath, `podman-${this.platform}.tar.gz`);
   }
 
   // Extract bundled Podman or prompt for installation
   async extractBundledPodman() {
-    const bundledPodmanTar = path.join(this.bundledPath, `podman-${this.platform}.tar.gz`);
+    const bundledPodmanTar = this.getBundledPodmanTar();
     
     if (!fs.existsSync(bundledPodmanTar)) {
       // No bundled Podman - guide user to install
       if (this.platform === 'win32') {
         throw new Error(
-          'Podman is required but not installed.\n\n' +
+          'Podman or Docker is required but neither is installed.\n\n' +
           'Please install Podman Desktop from:\n' +
           'https://podman-desktop.io/downloads\n\n' +
+          'Or Docker Desktop from:\n' +
+          'https://www.docker.com/products/docker-desktop\n\n' +
           'After installation, restart this app.'
         );
       } else if (this.platform === 'darwin') {
         throw new Error(
-          'Podman is required but not installed.\n\n' +
+          'Podman or Docker is required but neither is installed.\n\n' +
           'Please install Podman using Homebrew:\n' +
           'brew install podman\n\n' +
           'Or install Podman Desktop from:\n' +
@@ -204,9 +501,11 @@ class SilentInstaller {
         );
       } else {
         throw new Error(
-          'Podman is required but not installed.\n\n' +
+          'Podman or Docker is required but neither is installed.\n\n' +
           'Please install Podman:\n' +
           'sudo apt install podman\n\n' +
+          'Or Docker Engine:\n' +
+          'sudo apt install docker.io\n\n' +
           'After installation, restart this app.'
         );
       }
@@ -235,34 +534,32 @@ class SilentInstaller {
   // Initialize Podman machine (required on macOS/Windows)
   async initPodmanMachine() {
     // Check if machine already exists
-    const machineExists = await this.runCommand(`${this.podmanBin} machine list --format "{{.Name}}"`)
+    const machineExists = await this.runCommand(`${this.runtime.bin} machine list --format "{{.Name}}"`)
       .then(output => output.includes('podman-machine-default'))
       .catch(() => false);
 
     if (!machineExists) {
-      // Initialize machine with reasonable defaults
+      const { cpus, memory, diskSize } = this.machine;
       await this.runCommand(
-        `${this.podmanBin} machine init --cpus 2 --memory 4096 --disk-size 20`,
+        `${this.runtime.bin} machine init --cpus ${cpus} --memory ${memory} --disk-size ${diskSize}`,
         { timeout: 300000 } // 5 min timeout for download
       );
     }
 
     // Start machine if not running
-    const machineRunning = await this.runCommand(`${this.podmanBin} machine list --format "{{.Running}}"`)
+    const machineRunning = await this.runCommand(`${this.runtime.bin} machine list --format "{{.Running}}"`)
       .then(output => output.includes('true'))
       .catch(() => false);
 
     if (!machineRunning) {
-      await this.runCommand(`${this.podmanBin} machine start`, { timeout: 120000 });
+      await this.runCommand(`${this.runtime.bin} machine start`, { timeout: 120000 });
     }
   }
 
-  // Load container image from bundled tar
-  async loadContainerImage() {
+  // Load container image from bundled tar (force: reload even if present)
+  async loadContainerImage(options = {}) {
     // Check if image already loaded
-    const imageExists = await this.runCommand(`${this.podmanBin} images --format "{{.Repository}}:{{.Tag}}"`)
-      .then(output => output.includes(this.imageName))
-      .catch(() => false);
+    const imageExists = !options.force && Boolean(await this.imageId(this.imageName));
 
     if (imageExists) {
       return;
@@ -275,21 +572,40 @@ class SilentInstaller {
 
     // Load image
     this.onProgress({ step: 'image', message: 'Loading container image (this may take a few minutes)...', progress: 60 });
-    await this.runCommand(`${this.podmanBin} load -i "${this.imageTarPath}"`, { timeout: 600000 }); // 10 min
+    await this.loadImageTar();
+  }
+
+  // Load the bundled tar and make sure it held this architecture's image
+  async loadImageTar() {
+    const output = await this.runCommand(`${this.runtime.bin} load -i "${this.imageTarPath}"`, { timeout: 600000 }); // 10 min
+    const info = await this.imageInfo(this.imageName);
+    if (!info) {
+      // "Loaded image: <ref>" (Docker, Podman 4+) or "Loaded image(s): <ref>" (older Podman)
+      const loaded = (output.match(/Loaded image(?:\(s\))?:\s*(.+)/) || [])[1];
+      throw new Error(`${path.basename(this.imageTarPath)} does not contain ${this.imageName}` +
+        (loaded ? ` (it holds ${loaded.trim()})` : '') +
+        '. The bundle was built for another architecture; download the installer for this computer.');
+    }
+    const mismatch = checkArchitecture(this.imageName, info);
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
   }
 
 
-  // Ensure Podman machine is running (call on every app start)
+  // Ensure Podman machine (or the Docker daemon) is running (call on every app start)
   async ensureMachineRunning() {
-    if (this.platform !== 'darwin' && this.platform !== 'win32') {
-      return; // Linux doesn't need machine
-    }
-    
     this.init();
-    await this.setupPodman();
+    await this.getRuntime();
+
+    // Linux Podman doesn't need a machine; Docker has none but its daemon must be up
+    if (!this.runtime.needsMachine) {
+      await this.runtime.checkEngine();
+      return;
+    }
     
     // Check if machine exists
-    const machineExists = await this.runCommand(`${this.podmanBin} machine list --format "{{.Name}}"`)
+    const machineExists = await this.runCommand(`${this.runtime.bin} machine list --format "{{.Name}}"`)
       .then(output => output.includes('podman-machine-default'))
       .catch(() => false);
     
@@ -299,12 +615,12 @@ class SilentInstaller {
     }
     
     // Start machine if not running
-    const machineRunning = await this.runCommand(`${this.podmanBin} machine list --format "{{.Running}}"`)
+    const machineRunning = await this.runCommand(`${this.runtime.bin} machine list --format "{{.Running}}"`)
       .then(output => output.includes('true'))
       .catch(() => false);
     
     if (!machineRunning) {
-      await this.runCommand(`${this.podmanBin} machine start`, { timeout: 120000 });
+      await this.runCommand(`${this.runtime.bin} machine start`, { timeout: 120000 });
     }
   }
 
@@ -312,12 +628,10 @@ class SilentInstaller {
   // Ensure container image is loaded (call on every app start)
   async ensureImageLoaded() {
     this.init();
-    await this.setupPodman();
+    await this.getRuntime();
     
     // Check if image already loaded
-    const imageExists = await this.runCommand(`${this.podmanBin} images --format "{{.Repository}}:{{.Tag}}"`)
-      .then(output => output.includes(this.imageName))
-      .catch(() => false);
+    const imageExists = Boolean(await this.imageId(this.imageName));
     
     if (imageExists) {
       return;
@@ -328,18 +642,22 @@ class SilentInstaller {
       throw new Error('Bundled container image not found.');
     }
     
-    await this.runCommand(`${this.podmanBin} load -i "${this.imageTarPath}"`, { timeout: 600000 });
+    await this.loadImageTar();
   }
 
   // Verify everything is working
   async verifyInstallation() {
-    // Check podman works
-    await this.runCommand(`${this.podmanBin} --version`);
+    // Check the runtime works
+    await this.runCommand(`${this.runtime.bin} --version`);
     
-    // Check image exists
-    const images = await this.runCommand(`${this.podmanBin} images --format "{{.Repository}}:{{.Tag}}"`);
-    if (!images.includes('avyaktha-mt5')) {
-      throw new Error('Container image not found after loading');
+    // Check this architecture's image exists
+    const info = await this.imageInfo(this.imageName);
+    if (!info) {
+      throw new Error(`Container image ${this.imageName} not found after loading`);
+    }
+    const mismatch = checkArchitecture(this.imageName, info);
+    if (mismatch) {
+      throw new Error(mismatch);
     }
   }
 
@@ -358,33 +676,29 @@ class SilentInstaller {
     });
   }
 
-  // Get the podman binary path to use
-  getPodmanPath() {
+  // Runtime recorded in install-state.json, re-detected if it is gone or the preference changed
+  async getRuntime() {
     this.init(); // Ensure initialized
-    
-    // Check state for saved podman path
+    if (this.runtime) return this.runtime;
+
     const state = this.getState();
-    if (state.podmanPath) {
-      return state.podmanPath;
-    }
-    
-    // Check if bundled podman exists
-    if (fs.existsSync(this.podmanBin)) {
-      return this.podmanBin;
-    }
-    
-    // Fallback: try common locations
-    const commonPaths = [
-      '/opt/homebrew/bin/podman',
-      '/usr/local/bin/podman',
-      '/opt/podman/bin/podman'
-    ];
-    for (const p of commonPaths) {
-      if (fs.existsSync(p)) return p;
+    const preference = this.runtimePreference;
+    const matches = preference.path
+      ? state.runtimePath === preference.path
+      : preference.engine === 'auto' || preference.engine === state.runtime;
+
+    if (state.runtimePath && matches) {
+      const runtime = await ContainerRuntime.identify(state.runtimePath);
+      if (runtime) {
+        this.runtime = runtime;
+        return runtime;
+      }
     }
-    
-    return 'podman';
+
+    return this.setupRuntime();
   }
 }
 
+SilentInstaller.STEPS = STEPS;
+
 module.exports = SilentInstaller;
@@ -0,0 +1,207 @@
+/**
+ * MT5 Server - Log Manager
+ *
+ * Handles:
+ * 1. Rotating on-disk logs in userData/logs (app.log, gateway.log, <profile>.log)
+ * 2. Capturing main-process console output into app.log
+ * 3. Following container output with `logs -f` while containers run
+ * 4. Live line events and backlogs for the log viewer window
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const util = require('util');
+const { splitCommand } = require('./runtime');
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 3;
+const APP_SOURCE = 'app';
+const GATEWAY_SOURCE = 'gateway';
+
+// RFC3339 timestamp prefix added by `logs --timestamps`
+const TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2}))\s?(.*)$/;
+
+// Classify a line; covers start.sh, Wine ("err:", "fixme:") and Python logging
+function detectLevel(text) {
+  if (/\b(ERROR|CRITICAL|FATAL|Traceback)\b|^err:|^\s*\w+:err:/i.test(text)) return 'error';
+  if (/\b(WARN|WARNING)\b|^fixme:|^\s*\w+:fixme:/i.test(text)) return 'warn';
+  if (/\bDEBUG\b|^trace:/i.test(text)) return 'debug';
+  return 'info';
+}
+
+function parseLine(line, source) {
+  const match = line.match(TIMESTAMP);
+  const time = match ? new Date(match[1]).toISOString() : new Date().toISOString();
+  const text = match ? match[2] : line;
+  return { source, time, level: detectLevel(text), text };
+}
+
+class RotatingLog {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxBytes = options.maxBytes || MAX_BYTES;
+    this.maxFiles = options.maxFiles || MAX_FILES;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  }
+
+  write(entry) {
+    const line = `${entry.time} [${entry.level.toUpperCase()}] ${entry.text}\n`;
+    if (this.size + line.length > this.maxBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.file, line);
+    this.size += Buffer.byteLength(line);
+  }
+
+  // app.log -> app.log.1 -> app.log.2 ...; the oldest is dropped
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? this.file : `${this.file}.${i - 1}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.file}.${i}`);
+      }
+    }
+    this.size = 0;
+  }
+
+  // Last `count` lines of the current file
+  tail(count) {
+    try {
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+      return lines.slice(-count);
+    } catch {
+      return [];
+    }
+  }
+}
+
+class LogManager extends EventEmitter {
+  constructor(options) {
+    super();
+    this.dir = path.join(options.userDataPath, 'logs');
+    this.getRuntime = options.getRuntime;
+    this.appLog = new RotatingLog(path.join(this.dir, 'app.log'));
+    this.gatewayLog = new RotatingLog(path.join(this.dir, 'gateway.log'));
+    this.containerLogs = new Map(); // profile id -> RotatingLog
+    this.followers = new Map(); // profile id -> { process }
+    this.lastTimes = new Map(); // profile id -> last timestamp written
+  }
+
+  // Mirror console.* into app.log and the live viewer
+  captureConsole() {
+    const levels = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+    for (const [method, level] of Object.entries(levels)) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        original(...args);
+        try {
+          const entry = { source: APP_SOURCE, time: new Date().toISOString(), level, text: util.format(...args) };
+          this.appLog.write(entry);
+          this.emit('line', entry);
+        } catch {
+          // Logging must never take the app down
+        }
+      };
+    }
+  }
+
+  // RPyC gateway connection log entry
+  gateway(level, text) {
+    const entry = { source: GATEWAY_SOURCE, time: new Date().toISOString(), level, text };
+    try {
+      this.gatewayLog.write(entry);
+    } catch {
+      // Logging must never take the app down
+    }
+    this.emit('line', entry);
+  }
+
+  logFor(profileId) {
+    if (!this.containerLogs.has(profileId)) {
+      this.containerLogs.set(profileId, new RotatingLog(path.join(this.dir, `${profileId}.log`)));
+    }
+    return this.containerLogs.get(profileId);
+  }
+
+  // Start copying a running container's output to disk (idempotent)
+  follow(profile) {
+    if (this.followers.has(profile.id)) return;
+
+    const args = ['logs', '-f', '--timestamps'];
+    // Resume where we left off so restarts of the follower (or the app) don't duplicate lines
+    const since = this.lastTimes.get(profile.id) || this.lastTimeOnDisk(profile.id);
+    if (since) args.push('--since', since);
+    args.push(profile.containerName);
+
+    const [bin, ...prefix] = splitCommand(this.getRuntime(profile));
+    const child = spawn(bin, [...prefix, ...args]);
+    const follower = { process: child };
+    this.followers.set(profile.id, follower);
+
+    let buffer = '';
+    const onData = (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const entry = parseLine(line, profile.id);
+        this.lastTimes.set(profile.id, entry.time);
+        this.logFor(profile.id).write(entry);
+        this.emit('line', entry);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+
+    // Ends by itself when the container is removed
+    const done = () => {
+      if (this.followers.get(profile.id) === follower) {
+        this.followers.delete(profile.id);
+      }
+    };
+    child.on('close', done);
+    child.on('error', done);
+  }
+
+  lastTimeOnDisk(profileId) {
+    const [last] = this.logFor(profileId).tail(1);
+    const time = last && last.split(' ')[0];
+    return time && !Number.isNaN(Date.parse(time)) ? time : null;
+  }
+
+  unfollow(profileId) {
+    const follower = this.followers.get(profileId);
+    if (follower) {
+      follower.process.kill();
+      this.followers.delete(profileId);
+    }
+  }
+
+  stopAll() {
+    for (const profileId of [...this.followers.keys()]) {
+      this.unfollow(profileId);
+    }
+  }
+
+  // Recent entries for a source, read from its on-disk log
+  backlog(source, count = 2000) {
+    const log = source === APP_SOURCE ? this.appLog
+      : source === GATEWAY_SOURCE ? this.gatewayLog : this.logFor(source);
+    return log.tail(count).map(line => {
+      const match = line.match(/^(\S+) \[(\w+)\] (.*)$/);
+      return match
+        ? { source, time: match[1], level: match[2].toLowerCase(), text: match[3] }
+        : { source, time: null, level: detectLevel(line), text: line };
+    });
+  }
+}
+
+LogManager.APP_SOURCE = APP_SOURCE;
+LogManager.GATEWAY_SOURCE = GATEWAY_SOURCE;
+LogManager.RotatingLog = RotatingLog;
+LogManager.detectLevel = detectLevel;
+
+module.exports = LogManager;
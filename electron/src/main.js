@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Tray, Menu, nativeImage, shell, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, Tray, Menu, nativeImage, shell, dialog, ipcMain, clipboard, Notification, session } = require('electron');
 
 // Linux sandbox fix - MUST be before any other app calls
 if (process.platform === 'linux') {
@@ -6,259 +6,2191 @@ if (process.platform === 'linux') {
   app.commandLine.appendSwitch('disable-gpu-sandbox');
 }
 
+// One instance per user; a second launch focuses this one instead
+const isPrimaryInstance = app.requestSingleInstanceLock();
+if (!isPrimaryInstance) {
+  app.quit();
+}
+
 const { exec, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+const ProfileStore = require('./profiles');
+const ConfigStore = require('./config');
+const CredentialStore = require('./credentials');
+const HealthMonitor = require('./health');
+const LogManager = require('./logs');
+const ContainerRuntime = require('./runtime');
+const ImageUpdater = require('./updates');
+const VolumeManager = require('./volumes');
+const ContainerManager = require('./containers');
+const ControlApi = require('./api');
+const RpycGateway = require('./gateway');
+const Doctor = require('./doctor');
+const UsageMonitor = require('./usage');
+const Scheduler = require('./scheduler');
+const AutoStart = require('./autostart');
+const { getContainerInfo } = require('./container-info');
+const { formatConflicts, findFreePorts } = require('./ports');
+const { runtimeCommand, remoteEngineError, testConnection, SshTunnel } = require('./remote');
+const brokers = require('./brokers');
+
+// Defer installer require until needed
+let SilentInstaller = null;
+
+// App state
+let mainWindow = null;
+let settingsWindow = null;
+let healthWindow = null;
+let updateWindow = null;
+let repairWindow = null;
+let doctorWindow = null;
+let usageWindow = null;
+let logWindow = null;
+let logWindowSource = LogManager.APP_SOURCE;
+const vncWindows = new Map(); // profile id -> BrowserWindow
+const VIEWER_PARTITION = 'persist:vnc'; // Viewer windows' own session; keeps their preferences
+let viewerSessionReady = false;
+let tray = null;
+let trayIcon = null;
+let trayAlertIcon = null;
+let installer = null;
+let profiles = null;
+let config = null;
+let credentials = null;
+const sessionVncPasswords = new Map(); // profile id -> VNC password secure storage couldn't keep
+let vncStorageWarned = false;
+let health = null;
+let logs = null;
+let updates = null;
+let volumes = null;
+let containers = null;
+let usage = null;
+let scheduler = null;
+let scheduleKey = null; // Schedule settings last applied
+let api = null;
+let apiError = null; // Why the control API could not start
+let gateway = null;
+let gatewayError = null; // Why the RPyC gateway could not start
+let gatewayUpdate = Promise.resolve(); // Gateway changes are applied one at a time
+let runtime = null; // ContainerRuntime (Podman or Docker), set by installer
+let appReady = false; // Flag to track if app is fully initialized
+let launchedHidden = false; // Started at login in tray-only mode
+let autoStart = null;
+let quitConfirmed = false; // What happens to running containers is settled
+let shuttingDown = false;
+let trayHintShown = false; // Told once per session that closing keeps the app in the tray
+const startingProfiles = new Set(); // profile ids waiting for readiness
+const exposureWarned = new Set(); // profile ids warned about public ports this session
+const availableUpdates = new Map(); // profile id -> update found by the last check
+const apiStates = new Map(); // profile id -> last state pushed to control API clients
+const tunnels = new Map(); // profile id -> SshTunnel of a running remote profile
+
+// Runtime command for a profile: the local binary, or the same client driving a remote host over SSH
+function runtimeFor(profile) {
+  if (!runtime) return null;
+  return profile && profile.remote ? runtimeCommand(runtime, profile.remote) : runtime.bin;
+}
+
+// Keep a remote profile's ports forwarded to local ports while its container runs
+function syncTunnel(profile, running) {
+  let tunnel = tunnels.get(profile.id);
+  if (tunnel && (!running || !profile.remote || !tunnel.matches(profile.remote, profile.ports))) {
+    tunnel.close();
+    tunnels.delete(profile.id);
+    tunnel = null;
+  }
+  if (!running || !profile.remote || tunnel) return;
+
+  tunnel = new SshTunnel(profile.remote, profile.ports);
+  tunnel.on('state', (state, error) => {
+    if (state === 'open') console.log(`Tunnel to ${profile.remote.host} open for ${profile.name}`);
+    if (state === 'down') console.log(`Tunnel to ${profile.remote.host} down for ${profile.name}: ${error}`);
+    updateTrayMenu();
+  });
+  tunnels.set(profile.id, tunnel);
+  tunnel.open();
+}
+
+// Local ports of a remote profile's tunnel while it is open
+function tunnelPorts(profile) {
+  const tunnel = tunnels.get(profile.id);
+  return tunnel && tunnel.state === 'open' ? tunnel.localPorts : null;
+}
+
+// { host, ports } a profile's ports answer on; null while a remote profile's tunnel is down
+function endpointFor(profile) {
+  return containers.endpoint(profile);
+}
+
+// Profile shown in the dashboard window
+function getActiveProfile() {
+  return profiles.get(ProfileStore.DEFAULT_PROFILE_ID);
+}
+
+function isProfileRunning(profile) {
+  return containers.isRunning(profile);
+}
+
+// VNC password from secure storage, then this session's, then an older
+// profile's plain field
+function getVncPassword(profile) {
+  try {
+    return credentials.getVncPassword(profile.id) || sessionVncPasswords.get(profile.id) || profile.vncPassword;
+  } catch (err) {
+    console.error(`Could not decrypt VNC password for ${profile.name}: ${err.message}`);
+    return sessionVncPasswords.get(profile.id) || profile.vncPassword;
+  }
+}
+
+// Tell the user once per session that VNC passwords can't be saved
+function warnVncPasswordStorage(err) {
+  if (vncStorageWarned) return;
+  vncStorageWarned = true;
+  console.warn(`VNC passwords kept for this session only: ${err.message}`);
+  dialog.showMessageBox({
+    type: 'warning',
+    message: 'VNC passwords can\'t be saved',
+    detail: `${err.message}.\n\nNew VNC passwords are kept in memory and change every time MT5 Server starts. ` +
+      'The dashboard still logs in automatically; copy the password from Settings for another VNC client.'
+  });
+}
+
+// Give every profile its own random VNC password, stored encrypted
+function ensureVncPassword(profile) {
+  let stored = null;
+  try {
+    stored = credentials.getVncPassword(profile.id);
+  } catch (err) {
+    // Unreadable (e.g. keychain reset): fall through and generate a new one
+    console.error(`Could not decrypt VNC password for ${profile.name}: ${err.message}`);
+  }
+
+  if (stored) {
+    if (profile.vncPassword) {
+      delete profile.vncPassword;
+      profiles.save();
+    }
+    return;
+  }
+
+  // Keep custom passwords from older profiles, replace the shared default
+  const legacy = profile.vncPassword && profile.vncPassword !== 'mt5vnc' ? profile.vncPassword : null;
+  const password = legacy || CredentialStore.generateVncPassword();
+  try {
+    credentials.setVncPassword(profile.id, password);
+    sessionVncPasswords.delete(profile.id);
+    delete profile.vncPassword;
+    profiles.save();
+  } catch (err) {
+    // Never written to profiles.json in plain text
+    if (!legacy) sessionVncPasswords.set(profile.id, password);
+    warnVncPasswordStorage(err);
+  }
+}
+
+async function regenerateVncPassword(profile) {
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Regenerate', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `Regenerate the VNC password for "${profile.name}"?`,
+    detail: isProfileRunning(profile)
+      ? 'The container will be restarted and open VNC sessions disconnected.'
+      : 'The new password is used the next time the container starts.'
+  });
+  if (response !== 0) return;
+
+  delete profile.vncPassword;
+  profiles.save();
+  credentials.clearVncPassword(profile.id);
+  sessionVncPasswords.delete(profile.id);
+  ensureVncPassword(profile);
+
+  if (isProfileRunning(profile)) {
+    await restartContainer(profile);
+  }
+
+  const { response: copy } = await dialog.showMessageBox({
+    type: 'info',
+    buttons: ['Copy Password', 'OK'],
+    defaultId: 1,
+    message: 'VNC password regenerated',
+    detail: 'The dashboard logs in automatically. Copy the password to use another VNC client.'
+  });
+  if (copy === 0) clipboard.writeText(getVncPassword(profile));
+}
+
+// Warn once per session when a container's ports are reachable from the network
+async function checkPortExposure(profile) {
+  if (exposureWarned.has(profile.id)) return;
+
+  const output = await new Promise((resolve) => {
+    exec(`${runtimeFor(profile)} port ${profile.containerName}`, (error, stdout) => resolve(error ? '' : stdout));
+  });
+
+  // Lines look like "6081/tcp -> 0.0.0.0:6081"
+  const exposed = output.split('\n')
+    .map(line => line.split('->')[1])
+    .filter(Boolean)
+    .map(binding => binding.trim().replace(/:\d+$/, '').replace(/^\[|\]$/g, ''))
+    .filter(address => !ConfigStore.isLoopback(address));
+
+  if (exposed.length === 0) return;
+  exposureWarned.add(profile.id);
+
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Bind to Localhost Only', 'Keep'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `"${profile.name}" is reachable from the network`,
+    detail: `Its VNC, noVNC and RPyC ports are bound to ${[...new Set(exposed)].join(', ')}. ` +
+      'Anyone who can reach this machine can try to connect to the MT5 terminal. ' +
+      'To use RPyC from other machines, turn on the RPyC gateway in Settings instead.'
+  });
+
+  if (response === 0) {
+    config.update({ publishAddress: '127.0.0.1' });
+    for (const p of profiles.list().filter(isProfileRunning)) {
+      await restartContainer(p);
+    }
+  }
+}
+
+// Tell the user about settings an upgrade changed, one at a time, offering
+// the old values back; restored values apply like a save in Settings
+async function showConfigNotices() {
+  const restored = {};
+  for (const notice of config.notices) {
+    const { response } = await dialog.showMessageBox({
+      type: 'info',
+      buttons: ['OK', `Use ${notice.from} Again`],
+      defaultId: 0,
+      cancelId: 0,
+      message: 'A setting was changed by the update',
+      detail: `${notice.message}\n\nKeep the new value unless something relies on the old one.`
+    });
+    if (response === 1) restored[notice.key] = notice.from;
+  }
+  if (Object.keys(restored).length === 0) return;
+
+  const { errors, restartRequired } = config.update(restored);
+  if (errors.length > 0) {
+    dialog.showErrorBox('Could not restore the setting', errors.join('\n'));
+    return;
+  }
+  const affected = restartRequired ? profiles.list().filter(isProfileRunning) : [];
+  if (affected.length === 0) return;
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Restart Now', 'Later'],
+    defaultId: 0,
+    cancelId: 1,
+    message: 'Restart required',
+    detail: `The restored settings apply once the container is recreated:\n${affected.map(p => `• ${p.name}`).join('\n')}`
+  });
+  if (response !== 0) return;
+
+  // A public address was just chosen again, so warn even where this session already did
+  affected.forEach(p => exposureWarned.delete(p.id));
+  for (const p of affected) {
+    await restartContainer(p);
+  }
+}
+
+// Check if a profile's container is running
+function checkContainerStatus(profile) {
+  return containers.check(profile);
+}
+
+// Refresh the status of every profile
+function checkAllContainers() {
+  return containers.checkAll(profiles.list());
+}
+
+// VNC password and broker login for `run`, as env vars or a mounted secret file
+function getContainerSecrets(profile) {
+  const secrets = { env: { VNC_PWD: getVncPassword(profile) }, args: [] };
+  // A file on this machine can't be mounted into a container on another
+  if (config.get().credentialInjection === 'file' && !profile.remote) {
+    const secretFile = credentials.writeSecretFile(profile.id);
+    if (secretFile) {
+      secrets.args.push('-v', `${secretFile}:${CredentialStore.SECRET_MOUNT}:ro`);
+      secrets.file = secretFile;
+    }
+  } else {
+    const secretEnv = credentials.toEnv(profile.id);
+    Object.keys(secretEnv).forEach(name => secrets.args.push('-e', name));
+    Object.assign(secrets.env, secretEnv);
+  }
+  return secrets;
+}
+
+// Generated mt5cfg.ini to mount at start; a remote host can't mount a file from here
+function getTerminalConfig(profile) {
+  if (profile.remote) return null;
+  return brokers.writeConfig(app.getPath('userData'), profile, { login: credentials.has(profile.id) });
+}
+
+// Offer free ports when another program holds the profile's; false if the user declines
+async function resolvePortConflicts(profile) {
+  const conflicts = await containers.checkPorts(profile);
+  if (conflicts.length === 0) return true;
+
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Use Free Ports', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `Ports of "${profile.name}" are already in use`,
+    detail: `${formatConflicts(conflicts)}\n\n` +
+      'MT5 Server can move this profile to free ports. Trading systems and VNC clients ' +
+      'connecting to the old ports will need the new ones.'
+  });
+  if (response !== 0) return false;
+
+  const previous = profile.ports;
+  const ports = await findFreePorts(reserved => profiles.allocatePorts(profile.id, reserved), config.get().publishAddress);
+  profiles.update(profile.id, { ports });
+  console.log(`Moved ${profile.name} from ports`, previous, 'to', ports);
+  applyGatewaySettings();
+  return true;
+}
+
+// Start a profile's container. Interactive starts resolve port conflicts and
+// show why a start failed; unattended ones leave that to containers.lastError().
+async function startContainer(profile, interactive = true) {
+  if (!runtime) {
+    if (!interactive) return false;
+    dialog.showErrorBox('Container Runtime Not Found', 
+      'Please install Podman or Docker to run MT5 Server.\n\n' +
+      'macOS: brew install podman\n' +
+      'Linux: sudo apt install podman (or docker.io)\n\n' +
+      'A runtime in a custom location can be set in Settings.');
+    return false;
+  }
+
+  if (interactive && !isProfileRunning(profile) && !(await resolvePortConflicts(profile))) {
+    return false;
+  }
+
+  const running = await containers.start(profile);
+  updateTrayMenu();
+  if (running) {
+    checkPortExposure(profile);
+  } else if (interactive && containers.lastError(profile)) {
+    dialog.showMessageBox({
+      type: 'error',
+      title: 'Container Failed to Start',
+      message: `"${profile.name}" could not be started`,
+      detail: containers.lastError(profile)
+    });
+  }
+  return running;
+}
+
+// Stop a profile's container
+async function stopContainer(profile) {
+  const stopped = await containers.stop(profile);
+  updateTrayMenu();
+  return stopped;
+}
+
+// Start from the tray or dashboard, then follow readiness in the background
+async function requestStart(profile) {
+  if (await startContainer(profile)) {
+    watchReadiness(profile);
+  }
+}
+
+// A user-requested stop must not look like a failure to the health monitor
+async function requestStop(profile) {
+  health.unwatch(profile.id);
+  await stopContainer(profile);
+}
+
+// Move to another runtime; running containers are recreated on the new one
+async function switchRuntime(next) {
+  const running = profiles.list().filter(isProfileRunning);
+  for (const profile of running) {
+    await requestStop(profile);
+  }
+  logs.stopAll();
+
+  runtime = next;
+  installer.useRuntime(next, config.get().runtime);
+  console.log(`Switched to ${runtime.label} (${runtime.bin})`);
+
+  try {
+    await installer.ensureMachineRunning();
+    await installer.ensureImageLoaded();
+  } catch (err) {
+    dialog.showErrorBox('Container Runtime', `${runtime.label} is not ready: ${err.message}`);
+  }
+
+  await checkAllContainers();
+  for (const profile of running) {
+    await requestStart(profile);
+  }
+  updateTrayMenu();
+}
+
+async function restartContainer(profile) {
+  health.unwatch(profile.id);
+  await stopContainer(profile);
+  await new Promise(resolve => setTimeout(resolve, 2000));
+  if (await startContainer(profile)) {
+    watchReadiness(profile);
+  }
+}
+
+// Wait until a profile's terminal and APIs are up, reporting each stage
+async function waitForReady(profile, onProgress) {
+  startingProfiles.add(profile.id);
+  updateTrayMenu();
+  try {
+    return await containers.waitForReady(profile, onProgress);
+  } finally {
+    startingProfiles.delete(profile.id);
+    await checkContainerStatus(profile);
+    updateTrayMenu();
+  }
+}
+
+function showReadinessError(profile, error) {
+  dialog.showMessageBox({
+    type: 'error',
+    title: 'MT5 Server Not Ready',
+    message: `"${profile.name}" did not start correctly`,
+    detail: error.message
+  });
+}
+
+// Track readiness in the background (tray actions, restarts), then monitor health;
+// `unattended` reports a failure as a notification instead of a dialog
+function watchReadiness(profile, unattended = false) {
+  waitForReady(profile)
+    .then(() => health.watch(profile))
+    .catch(error => (unattended
+      ? notifyStartFailed(profile, 'scheduled start', error.message)
+      : showReadinessError(profile, error)));
+}
+
+// Restart used by the health monitor; throws so it can back off
+async function recoverContainer(profile) {
+  await stopContainer(profile);
+  if (!(await startContainer(profile, false))) {
+    throw new Error(containers.lastError(profile) || 'Container failed to start');
+  }
+  await waitForReady(profile);
+}
+
+function notifyIncident(incident) {
+  const titles = {
+    failure: `MT5 Server: ${incident.profileName} is down`,
+    'gave-up': `MT5 Server: ${incident.profileName} needs attention`,
+    recovered: `MT5 Server: ${incident.profileName} recovered`
+  };
+  if (!titles[incident.type] || !Notification.isSupported()) return;
+
+  const notification = new Notification({ title: titles[incident.type], body: incident.message });
+  notification.on('click', () => createHealthWindow());
+  notification.show();
+}
+
+function notifyUsageWarning(warning) {
+  api.broadcast('usage-warning', { warning });
+  if (!Notification.isSupported()) return;
+
+  const resource = warning.kind === 'cpu' ? 'CPU' : 'Memory';
+  const notification = new Notification({
+    title: `MT5 Server: ${warning.profileName} is near its ${warning.kind === 'cpu' ? 'CPU' : 'memory'} limit`,
+    body: `${resource} has been at ${Math.round(warning.percent)}% of the limit. ` +
+      'Raise the limit in Settings or expect slow backtests and possible restarts.'
+  });
+  notification.on('click', () => createUsageWindow());
+  notification.show();
+}
+
+// Resize the Podman machine after its settings changed; stops and restarts the containers
+async function applyMachineSize(parent) {
+  if (!runtime || !runtime.needsMachine) {
+    installer.machine = { ...config.get().machine };
+    return;
+  }
+  const current = await installer.machineInfo();
+  const wanted = config.get().machine;
+  if (!current || ['cpus', 'memory', 'diskSize'].every(key => current[key] === wanted[key])) {
+    installer.machine = { ...wanted };
+    return;
+  }
+
+  const running = profiles.list().filter(isProfileRunning);
+  const { response } = await dialog.showMessageBox(parent, {
+    type: 'question',
+    buttons: ['Resize Now', 'Later'],
+    defaultId: 0,
+    cancelId: 1,
+    message: 'Resize the Podman machine?',
+    detail: `${current.cpus} CPUs, ${current.memory} MB, ${current.diskSize} GB disk → ` +
+      `${wanted.cpus} CPUs, ${wanted.memory} MB, ${wanted.diskSize} GB disk.\n\n` +
+      (running.length ? `The machine restarts, so these containers are stopped and started again:\n${running.map(p => `• ${p.name}`).join('\n')}` :
+        'The machine restarts.')
+  });
+  if (response !== 0) return;
+
+  for (const profile of running) {
+    await requestStop(profile);
+  }
+  try {
+    await installer.resizeMachine(wanted);
+  } catch (err) {
+    dialog.showErrorBox('Podman Machine', `Could not resize the machine: ${err.message}`);
+  }
+  await checkAllContainers();
+  for (const profile of running) {
+    await requestStart(profile);
+  }
+}
+
+// Only profiles opted in under Settings follow the schedule
+function isScheduled(profile) {
+  return profile.scheduled === true;
+}
+
+// Next scheduled action for the tray and API, or null
+function scheduleSummary() {
+  if (!scheduler.enabled) return null;
+  const next = scheduler.nextAction();
+  return {
+    timezone: scheduler.timezone,
+    open: scheduler.isOpen(),
+    next: next && { action: next.action, time: next.time.toISOString() }
+  };
+}
+
+// Unattended starts report failures as notifications instead of dialogs
+function notifyStartFailed(profile, what, detail = containers.lastError(profile)) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({
+    title: `MT5 Server: ${what} of ${profile.name} failed`,
+    body: detail || 'Container failed to start'
+  });
+  notification.on('click', () => showDashboard());
+  notification.show();
+}
+
+// A scheduled stop left out because positions are (or may be) open
+function notifyStopSkipped(profile, count) {
+  console.log(`Schedule: kept ${profile.name} running (${count === null ? 'positions unknown' : `${count} open`})`);
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({
+    title: `MT5 Server: ${profile.name} kept running`,
+    body: `${count === null ? 'Open positions could not be checked' : `${count} open position${count === 1 ? '' : 's'}`}, ` +
+      'so the scheduled stop was skipped. Stop it from the tray once they are closed.'
+  });
+  notification.on('click', () => showDashboard());
+  notification.show();
+}
+
+// Re-apply only when the schedule itself changed, so saving other settings
+// doesn't undo a manual start or stop
+function applyScheduleSettings() {
+  const settings = config.get().schedule;
+  const key = JSON.stringify(settings);
+  if (key === scheduleKey) return;
+  scheduleKey = key;
+  scheduler.configure(settings);
+  scheduler.start();
+}
+
+async function onScheduleChange(running, reason) {
+  console.log(`Schedule: ${running ? 'start' : 'stop'} (${reason})`);
+  api.broadcast('schedule', { action: running ? 'start' : 'stop', reason });
+
+  for (const profile of profiles.list().filter(isScheduled)) {
+    if (running && !isProfileRunning(profile)) {
+      // Nobody may be around to answer a dialog
+      if (await startContainer(profile, false)) {
+        watchReadiness(profile, true);
+      } else {
+        notifyStartFailed(profile, 'scheduled start');
+      }
+    } else if (!running && isProfileRunning(profile)) {
+      // Same check as quitting, but nobody can confirm, so unknown counts as open
+      if (config.get().shutdown.confirmOpenPositions) {
+        const count = await containers.openPositions(profile);
+        if (count !== 0) {
+          notifyStopSkipped(profile, count);
+          continue;
+        }
+      }
+      await requestStop(profile);
+    }
+  }
+  updateTrayMenu();
+}
+
+// Start/stop the monitor to match the current settings
+function applyHealthSettings() {
+  const settings = config.get().health;
+  health.configure(settings);
+  if (settings.enabled) {
+    health.start();
+  } else {
+    health.stop();
+  }
+}
+
+function applyApiSettings() {
+  api.configure(config.get().api)
+    .then(() => { apiError = null; })
+    .catch((err) => {
+      apiError = err.code === 'EADDRINUSE' ? `Port ${config.get().api.port} is in use` : err.message;
+      console.error(`Control API: ${apiError}`);
+    });
+}
+
+// Follow the gateway settings and the profile list (ports, added or removed profiles)
+function applyGatewaySettings() {
+  gatewayUpdate = gatewayUpdate
+    .then(() => gateway.configure(config.get().gateway, profiles.list()))
+    .then(() => { gatewayError = null; })
+    .catch((err) => {
+      gatewayError = err.message;
+      console.error(`RPyC gateway: ${gatewayError}`);
+    });
+  return gatewayUpdate;
+}
+
+// Host and SSH tunnel of a remote profile
+function remoteSummary(profile) {
+  const tunnel = tunnels.get(profile.id);
+  return {
+    host: profile.remote.host,
+    tunnel: tunnel ? tunnel.state : 'closed',
+    tunnelError: tunnel ? tunnel.error : null,
+    // Where the remote ports are reachable on this machine
+    localPorts: tunnelPorts(profile)
+  };
+}
+
+// Profile state shared by the dashboard and the control API
+function profileSummary(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    running: isProfileRunning(profile),
+    starting: startingProfiles.has(profile.id),
+    health: health.getStatus(profile.id),
+    startError: containers.lastError(profile),
+    remote: profile.remote ? remoteSummary(profile) : null
+  };
+}
+
+// What the control API serves; null means "no such profile"
+const apiHandlers = {
+  status: () => ({
+    runtime: runtime && runtime.toJSON(),
+    schedule: scheduleSummary(),
+    profiles: profiles.list().map(profile => ({
+      ...profileSummary(profile),
+      containerName: profile.containerName,
+      imageName: profile.imageName,
+      ports: profile.ports
+    }))
+  }),
+
+  profileStatus: async (profileId) => {
+    const profile = profiles.get(profileId);
+    if (!profile) return null;
+    const info = await getContainerInfo(runtimeFor(profile), profile, endpointFor(profile));
+    return {
+      ...profileSummary(profile),
+      containerName: profile.containerName,
+      imageName: profile.imageName,
+      state: info.state,
+      startedAt: info.startedAt,
+      architecture: info.architecture,
+      stats: info.stats,
+      ports: profile.ports,
+      reachable: info.ports
+    };
+  },
+
+  // Returns once the container runs; readiness follows as events
+  // API callers can't answer dialogs: starts go the unattended way and a
+  // failure comes back in startError
+  control: async (profileId, action) => {
+    const profile = profiles.get(profileId);
+    if (!profile) return null;
+    if (action === 'stop') {
+      await requestStop(profile);
+      return { action, ok: true, ...profileSummary(profile) };
+    }
+
+    if (action === 'restart') {
+      health.unwatch(profile.id);
+      await stopContainer(profile);
+    }
+    let ok = isProfileRunning(profile);
+    if (!ok) {
+      ok = await startContainer(profile, false);
+      if (ok) watchReadiness(profile);
+    }
+    const summary = profileSummary(profile);
+    if (!runtime) summary.startError = 'No container runtime found';
+    return { action, ok, ...summary };
+  },
+
+  logs: (profileId, lines) => {
+    if (!profiles.get(profileId)) return null;
+    return { lines: logs.backlog(profileId, lines) };
+  },
+
+  health: (profileId, limit) => ({
+    status: profiles.list()
+      .filter(p => !profileId || p.id === profileId)
+      .map(p => ({ profileId: p.id, name: p.name, ...health.getStatus(p.id) })),
+    history: health.getHistory().filter(i => !profileId || i.profileId === profileId).slice(0, limit)
+  }),
+
+  config: () => config.get()
+};
+
+function applyUpdateSettings() {
+  updates.configure(config.get().updates);
+  updates.stop();
+  updates.start();
+}
+
+// Check every profile's image; notify about updates that weren't known before
+async function checkForUpdates() {
+  if (!runtime) return [];
+  const results = [];
+  // Updates pull into the local engine; a remote host's images are managed there
+  for (const profile of profiles.list().filter(p => !p.remote)) {
+    try {
+      const update = await updates.check(profile.imageName);
+      const known = availableUpdates.get(profile.id);
+      if (update) {
+        availableUpdates.set(profile.id, update);
+        if (!known || known.imageRef !== update.imageRef) notifyUpdate(profile, update);
+      } else {
+        availableUpdates.delete(profile.id);
+      }
+      results.push({ profileId: profile.id, update });
+    } catch (err) {
+      console.error(`Update check failed for ${profile.name}: ${err.message}`);
+      results.push({ profileId: profile.id, error: err.message });
+    }
+  }
+  updateTrayMenu();
+  sendToUpdateWindow('updates:changed');
+  return results;
+}
+
+function notifyUpdate(profile, update) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({
+    title: `MT5 Server: image update for ${profile.name}`,
+    body: update.changelog ? update.changelog.split('\n')[0] : update.tag
+  });
+  notification.on('click', () => createUpdateWindow());
+  notification.show();
+}
+
+// Move a profile to another image; go back to the old one if it doesn't become ready
+async function applyImageUpdate(profile, imageRef) {
+  const previous = profile.imageName;
+
+  health.unwatch(profile.id);
+  await stopContainer(profile);
+  profiles.update(profile.id, { imageName: imageRef });
+  try {
+    if (!(await startContainer(profile, false))) {
+      throw new Error(containers.lastError(profile) || 'Container failed to start');
+    }
+    await waitForReady(profile);
+    health.watch(profile);
+    updates.recordApplied(profile.id, previous, imageRef);
+    availableUpdates.delete(profile.id);
+    return { ok: true, message: `${profile.name} now runs ${imageRef}` };
+  } catch (err) {
+    console.error(`Update of ${profile.name} to ${imageRef} failed, rolling back: ${err.message}`);
+    await stopContainer(profile);
+    profiles.update(profile.id, { imageName: previous });
+    if (await startContainer(profile)) {
+      watchReadiness(profile);
+    }
+    return { ok: false, message: `Rolled back to ${previous}: ${err.message.split('\n')[0]}` };
+  } finally {
+    updateTrayMenu();
+    sendToUpdateWindow('updates:changed');
+  }
+}
+
+function sendToUpdateWindow(channel, payload) {
+  if (updateWindow && !updateWindow.isDestroyed()) {
+    updateWindow.webContents.send(channel, payload);
+  }
+}
+
+// Live log viewer (single instance), optionally switched to a source
+function createLogWindow(source) {
+  if (source) logWindowSource = source;
+
+  if (logWindow && !logWindow.isDestroyed()) {
+    // Reload so the page picks up the new source
+    if (source) logWindow.reload();
+    logWindow.show();
+    logWindow.focus();
+    return logWindow;
+  }
+
+  logWindow = new BrowserWindow({
+    width: 1000,
+    height: 680,
+    title: 'MT5 Server - Logs',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  logWindow.loadFile(path.join(__dirname, 'logs.html'));
+
+  logWindow.once('ready-to-show', () => {
+    logWindow.show();
+  });
+
+  logWindow.on('closed', () => {
+    logWindow = null;
+  });
+
+  return logWindow;
+}
+
+// Export the profile's volumes to a timestamped archive
+async function backupProfileData(profile, parent) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const backupDir = path.join(app.getPath('userData'), 'backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const { canceled, filePath } = await dialog.showSaveDialog(parent, {
+    title: `Back Up "${profile.name}"`,
+    defaultPath: path.join(backupDir, `${profile.id}-${stamp}.tar.gz`),
+    filters: [{ name: 'Backup Archive', extensions: ['tar.gz', 'tgz'] }]
+  });
+  if (canceled || !filePath) return null;
+
+  try {
+    await volumes.backup(profile, filePath);
+    return { ok: true, message: `Backup saved to ${filePath}` };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  }
+}
+
+// Replace the profile's volumes with a backup; the container is recreated afterwards
+async function restoreProfileData(profile, parent) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(parent, {
+    title: `Restore "${profile.name}"`,
+    defaultPath: path.join(app.getPath('userData'), 'backups'),
+    filters: [{ name: 'Backup Archive', extensions: ['tar.gz', 'tgz'] }],
+    properties: ['openFile']
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const { response } = await dialog.showMessageBox(parent, {
+    type: 'warning',
+    buttons: ['Restore', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Restore "${profile.name}" from ${path.basename(filePaths[0])}?`,
+    detail: 'The container is stopped and its current terminal data is replaced.'
+  });
+  if (response !== 0) return null;
+
+  return replaceProfileData(profile, () => volumes.restore(profile, filePaths[0]), 'Restored from backup');
+}
+
+// Drop the profile's volumes so the next start begins from the image
+async function resetProfileData(profile, parent) {
+  const { response } = await dialog.showMessageBox(parent, {
+    type: 'warning',
+    buttons: ['Reset', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Reset "${profile.name}" to a clean state?`,
+    detail: 'Terminal settings, history, templates and Expert Advisors are deleted. Back up first to keep them.'
+  });
+  if (response !== 0) return null;
+
+  return replaceProfileData(profile, () => volumes.reset(profile), 'Reset to a clean state');
+}
+
+// Stop, change the volumes, and start again if it was running
+async function replaceProfileData(profile, change, message) {
+  const wasRunning = isProfileRunning(profile);
+  health.unwatch(profile.id);
+  logs.unfollow(profile.id);
+  await stopContainer(profile);
+  await containers.remove(profile);
+
+  try {
+    await change();
+    return { ok: true, message: `${profile.name}: ${message}` };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  } finally {
+    if (wasRunning) await requestStart(profile);
+  }
+}
+
+function showDataResult(result) {
+  if (!result) return;
+  dialog.showMessageBox({
+    type: result.ok ? 'info' : 'error',
+    message: result.ok ? 'Done' : 'Failed',
+    detail: result.message
+  });
+}
+
+// Re-verify every install step and redo the ones that drifted
+async function repairInstallation() {
+  if (repairWindow && !repairWindow.isDestroyed()) {
+    repairWindow.focus();
+    return;
+  }
+  repairWindow = createInstallWindow('MT5 Server - Repair');
+
+  let fixed = null;
+  let error = null;
+  try {
+    fixed = await installer.repair();
+    runtime = installer.runtime;
+  } catch (err) {
+    error = err;
+  }
+  await new Promise(resolve => setTimeout(resolve, 500));
+  if (!repairWindow.isDestroyed()) repairWindow.destroy();
+  repairWindow = null;
+
+  await checkAllContainers();
+  updateTrayMenu();
+  dialog.showMessageBox({
+    type: error ? 'error' : 'info',
+    message: error ? 'Repair failed' : 'Repair complete',
+    detail: error
+      ? error.message
+      : (fixed.length ? `Fixed:\n${fixed.join('\n')}` : 'The installation is intact.')
+  });
+}
+
+// Remove containers, images, extracted Podman and install state, then quit
+async function uninstallApp() {
+  const { response, checkboxChecked } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Uninstall', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: 'Uninstall MT5 Server?',
+    detail: 'All MT5 containers are stopped and deleted, and the MT5 images, the extracted Podman and ' +
+      'the install state are removed. The app quits afterwards.',
+    checkboxLabel: 'Also delete MT5 data volumes and all app data (profiles, settings, saved logins, keys, logs and backups)'
+  });
+  if (response !== 0) return;
+
+  health.stop();
+  logs.stopAll();
+  updates.stop();
+
+  const all = profiles.list();
+  const errors = await installer.uninstall({
+    containers: all.map(p => p.containerName),
+    volumes: checkboxChecked ? all.flatMap(p => Object.values(volumes.names(p))) : [],
+    images: all.map(p => p.imageName)
+  });
+
+  // All of userData, so files added by later features can't be left behind
+  if (checkboxChecked) {
+    try {
+      fs.rmSync(app.getPath('userData'), { recursive: true, force: true });
+    } catch (err) {
+      errors.push(`Could not delete all app data: ${err.message}`);
+    }
+  }
+  autoStart.apply({ enabled: false, hidden: false });
+
+  if (errors.length > 0) {
+    await dialog.showMessageBox({
+      type: 'warning',
+      message: 'Uninstalled with warnings',
+      detail: errors.join('\n')
+    });
+  }
+
+  // Nothing left to stop on the way out
+  runtime = null;
+  app.isQuitting = true;
+  quitConfirmed = true;
+  app.quit();
+}
+
+async function removeProfile(profile) {
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Remove', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Remove profile "${profile.name}"?`,
+    detail: 'The profile\'s container will be stopped and deleted, together with its MT5 data volumes.'
+  });
+  if (response !== 0) return;
+
+  health.unwatch(profile.id);
+  logs.unfollow(profile.id);
+  await containers.remove(profile);
+  syncTunnel(profile, false);
+  const viewer = vncWindows.get(profile.id);
+  if (viewer && !viewer.isDestroyed()) viewer.close();
+  if (runtime) {
+    await volumes.reset(profile).catch(err => console.error(`Could not remove volumes: ${err.message}`));
+  }
+  profiles.remove(profile.id);
+  credentials.clear(profile.id);
+  credentials.clearVncPassword(profile.id);
+  brokers.removeConfig(app.getPath('userData'), profile.id);
+  applyGatewaySettings();
+  updateTrayMenu();
+}
+
+// Build the tray submenu for one profile
+function buildProfileMenu(profile) {
+  const running = isProfileRunning(profile);
+  const tunnel = tunnels.get(profile.id);
+  const items = [
+    ...(profile.remote ? [{
+      label: `Host: ${profile.remote.user ? `${profile.remote.user}@` : ''}${profile.remote.host}` +
+        (tunnel ? ` (tunnel ${tunnel.state})` : ''),
+      enabled: false
+    }] : []),
+    {
+      label: `Ports: ${profile.ports.novnc} / ${profile.ports.vnc} / ${profile.ports.rpyc}`,
+      enabled: false
+    },
+    ...(tunnelPorts(profile) ? [{
+      label: `Local: ${tunnelPorts(profile).novnc} / ${tunnelPorts(profile).vnc} / ${tunnelPorts(profile).rpyc}`,
+      enabled: false
+    }] : []),
+    { type: 'separator' },
+    {
+      label: 'Open Terminal',
+      click: () => createVncWindow(profile)
+    },
+    {
+      label: 'Open in Browser (noVNC)',
+      click: () => {
+        const endpoint = endpointFor(profile);
+        if (isProfileRunning(profile) && endpoint) {
+          shell.openExternal(`http://localhost:${endpoint.ports.novnc}`);
+        } else if (isProfileRunning(profile)) {
+          dialog.showMessageBox({
+            type: 'info',
+            message: 'Host unreachable',
+            detail: `The SSH tunnel to ${profile.remote.host} is not open yet.`
+          });
+        } else {
+          dialog.showMessageBox({
+            type: 'info',
+            message: 'Container not running',
+            detail: `Please start the "${profile.name}" container first.`
+          });
+        }
+      }
+    },
+    {
+      label: running ? 'Stop Server' : 'Start Server',
+      click: () => (isProfileRunning(profile) ? requestStop(profile) : requestStart(profile))
+    },
+    {
+      label: 'Restart Server',
+      enabled: running,
+      click: () => restartContainer(profile)
+    },
+    {
+      label: 'View Logs',
+      click: () => createLogWindow(profile.id)
+    },
+    {
+      label: 'Broker Login...',
+      click: () => createSettingsWindow()
+    },
+    {
+      label: 'Regenerate VNC Password...',
+      click: () => regenerateVncPassword(profile)
+    },
+    { type: 'separator' },
+    {
+      label: 'Back Up Data...',
+      click: () => backupProfileData(profile).then(showDataResult)
+    },
+    {
+      label: 'Restore Data...',
+      click: () => restoreProfileData(profile).then(showDataResult)
+    },
+    {
+      label: 'Reset to Clean State...',
+      click: () => resetProfileData(profile).then(showDataResult)
+    }
+  ];
+
+  if (profile.id !== ProfileStore.DEFAULT_PROFILE_ID) {
+    items.push(
+      { type: 'separator' },
+      {
+        label: 'Remove Profile...',
+        click: () => removeProfile(profile)
+      }
+    );
+  }
+
+  return items;
+}
+
+// Update tray menu based on container status
+function updateTrayMenu() {
+  broadcastState();
+  if (!tray) return;
+
+  const all = profiles.list();
+  const runningCount = all.filter(isProfileRunning).length;
+  const statusText = runningCount > 0 ? `● ${runningCount}/${all.length} Running` : '○ Stopped';
+  const unhealthy = all.filter(p => !['healthy', 'stopped'].includes(health.getStatus(p.id).status));
+  const profileStatus = (profile) => {
+    const { status } = health.getStatus(profile.id);
+    if (startingProfiles.has(profile.id)) return '◌ Starting';
+    if (status === 'restarting') return '↻ Restarting';
+    if (status === 'failed') return '✖ Failed';
+    if (status === 'down' || status === 'degraded') return '⚠ Unhealthy';
+    if (!isProfileRunning(profile)) return '○ Stopped';
+    const tunnel = tunnels.get(profile.id);
+    if (tunnel && tunnel.state === 'down') return '⚠ Tunnel Down';
+    if (tunnel && tunnel.state === 'connecting') return '◌ Connecting';
+    return '● Running';
+  };
+
+  const schedule = scheduleSummary();
+  const scheduleText = schedule && schedule.next
+    ? `Next: ${schedule.next.action === 'start' ? 'Start' : 'Stop'} ${new Date(schedule.next.time)
+      .toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`
+    : 'Schedule: nothing in the next 2 weeks';
+
+  const contextMenu = Menu.buildFromTemplate([
+    { 
+      label: `MT5 Server ${statusText}`,
+      enabled: false
+    },
+    ...(schedule ? [{ label: scheduleText, enabled: false }] : []),
+    { type: 'separator' },
+    ...all.map(profile => ({
+      label: `${profile.name}${profile.remote ? ` @ ${profile.remote.host}` : ''}  ${profileStatus(profile)}`,
+      submenu: buildProfileMenu(profile)
+    })),
+    {
+      label: 'Add Profile',
+      click: () => {
+        const profile = profiles.create();
+        ensureVncPassword(profile);
+        console.log(`Created profile ${profile.id} on ports`, profile.ports);
+        applyGatewaySettings();
+        updateTrayMenu();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Open Dashboard',
+      click: () => showDashboard()
+    },
+    {
+      label: 'Settings...',
+      click: () => createSettingsWindow()
+    },
+    {
+      label: availableUpdates.size > 0 ? `Image Updates (${availableUpdates.size} available)...` : 'Image Updates...',
+      click: () => createUpdateWindow()
+    },
+    {
+      label: 'Health History...',
+      click: () => createHealthWindow()
+    },
+    {
+      label: 'Resource Usage...',
+      click: () => createUsageWindow()
+    },
+    {
+      label: 'App Logs...',
+      click: () => createLogWindow(LogManager.APP_SOURCE)
+    },
+    ...(config.get().gateway.enabled ? [{
+      label: 'Gateway Connections...',
+      click: () => createLogWindow(LogManager.GATEWAY_SOURCE)
+    }] : []),
+    {
+      label: 'Maintenance',
+      submenu: [
+        {
+          label: 'Run Diagnostics...',
+          click: () => createDoctorWindow()
+        },
+        { type: 'separator' },
+        {
+          label: 'Repair Installation...',
+          click: () => repairInstallation()
+        },
+        {
+          label: 'Uninstall...',
+          click: () => uninstallApp()
+        }
+      ]
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit MT5 Server',
+      // before-quit asks what happens to running containers
+      click: () => app.quit()
+    }
+  ]);
+
+  tray.setContextMenu(contextMenu);
+
+  // Badge the icon and list problems in the tooltip while anything is unhealthy
+  const problems = unhealthy.map(p => {
+    const { status, reason } = health.getStatus(p.id);
+    return `${p.name}: ${reason || status}`;
+  });
+  tray.setToolTip([`MT5 Server - ${statusText}`, ...problems].join('\n'));
+  if (trayIcon) {
+    tray.setImage(unhealthy.length > 0 ? trayAlertIcon : trayIcon);
+  }
+}
+
+// Create main window
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 900,
+    height: 700,
+    title: 'MT5 Server',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  mainWindow.loadFile(path.join(__dirname, 'index.html'));
+
+  mainWindow.once('ready-to-show', () => {
+    mainWindow.show();
+  });
+
+  mainWindow.on('close', () => {
+    if (app.isQuitting) return;
+
+    // Closing the startup window still exits
+    if (!appReady) {
+      app.quit();
+      return;
+    }
+
+    // Closing the dashboard goes back to the tray; Quit in the tray menu exits
+    notifyTrayHint();
+  });
+
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+  });
+}
+
+function notifyTrayHint() {
+  if (trayHintShown || !Notification.isSupported()) return;
+  trayHintShown = true;
+  const notification = new Notification({
+    title: 'MT5 Server is still running',
+    body: 'Containers keep running in the background. Use Quit MT5 Server in the tray menu to exit.'
+  });
+  notification.on('click', () => showDashboard());
+  notification.show();
+}
+
+// Bring up the dashboard (or the startup window while still starting)
+function showDashboard() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+  } else if (appReady) {
+    createWindow();
+  }
+}
+
+// Incident history window (single instance)
+function createHealthWindow() {
+  if (healthWindow && !healthWindow.isDestroyed()) {
+    healthWindow.show();
+    healthWindow.focus();
+    return healthWindow;
+  }
+
+  healthWindow = new BrowserWindow({
+    width: 760,
+    height: 560,
+    title: 'MT5 Server - Health History',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  healthWindow.loadFile(path.join(__dirname, 'health.html'));
+
+  healthWindow.once('ready-to-show', () => {
+    healthWindow.show();
+  });
+
+  healthWindow.on('closed', () => {
+    healthWindow = null;
+  });
+
+  return healthWindow;
+}
+
+// CPU/memory usage and limits window (single instance)
+function createUsageWindow() {
+  if (usageWindow && !usageWindow.isDestroyed()) {
+    usageWindow.show();
+    usageWindow.focus();
+    return usageWindow;
+  }
+
+  usageWindow = new BrowserWindow({
+    width: 760,
+    height: 600,
+    title: 'MT5 Server - Resource Usage',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  usageWindow.loadFile(path.join(__dirname, 'usage.html'));
+
+  usageWindow.once('ready-to-show', () => {
+    usageWindow.show();
+  });
+
+  usageWindow.on('closed', () => {
+    usageWindow = null;
+  });
+
+  return usageWindow;
+}
+
+// Diagnostics window (single instance)
+function createDoctorWindow() {
+  if (doctorWindow && !doctorWindow.isDestroyed()) {
+    doctorWindow.show();
+    doctorWindow.focus();
+    return doctorWindow;
+  }
+
+  doctorWindow = new BrowserWindow({
+    width: 760,
+    height: 620,
+    title: 'MT5 Server - Diagnostics',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  doctorWindow.loadFile(path.join(__dirname, 'doctor.html'));
+
+  doctorWindow.once('ready-to-show', () => {
+    doctorWindow.show();
+  });
+
+  doctorWindow.on('closed', () => {
+    doctorWindow = null;
+  });
+
+  return doctorWindow;
+}
+
+function createDoctor() {
+  return new Doctor({
+    installer,
+    profiles,
+    config,
+    userDataPath: app.getPath('userData'),
+    appVersion: app.getVersion(),
+    // Everything secret the app knows, so it can be scrubbed from logs too
+    getSecrets: () => {
+      // Reading the token must not create one while the API is off
+      const secrets = [
+        api && fs.existsSync(api.tokenFile) ? api.getToken() : null,
+        gateway && fs.existsSync(gateway.tokenFile) ? gateway.getToken() : null
+      ];
+      for (const profile of profiles.list()) {
+        secrets.push(getVncPassword(profile));
+        try {
+          const login = credentials.get(profile.id);
+          if (login) secrets.push(login.account, login.password);
+        } catch {
+          // Undecryptable credentials can't leak either
+        }
+      }
+      return secrets;
+    }
+  });
+}
+
+// Ask where to save the support bundle and write it; null if cancelled
+async function exportDiagnostics(parent) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const options = {
+    title: 'Export Support Bundle',
+    defaultPath: path.join(app.getPath('downloads'), `mt5-server-diagnostics-${stamp}.zip`),
+    filters: [{ name: 'Zip archives', extensions: ['zip'] }]
+  };
+  const { canceled, filePath } = parent
+    ? await dialog.showSaveDialog(parent, options)
+    : await dialog.showSaveDialog(options);
+  if (canceled || !filePath) return null;
+
+  const report = await createDoctor().exportBundle(filePath);
+  shell.showItemInFolder(filePath);
+  return { file: filePath, checks: report.checks };
+}
+
+// Image update window (single instance)
+function createUpdateWindow() {
+  if (updateWindow && !updateWindow.isDestroyed()) {
+    updateWindow.show();
+    updateWindow.focus();
+    return updateWindow;
+  }
+
+  updateWindow = new BrowserWindow({
+    width: 760,
+    height: 600,
+    title: 'MT5 Server - Image Updates',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  updateWindow.loadFile(path.join(__dirname, 'updates.html'));
+
+  updateWindow.once('ready-to-show', () => {
+    updateWindow.show();
+  });
+
+  updateWindow.on('closed', () => {
+    updateWindow = null;
+  });
+
+  return updateWindow;
+}
+
+// Show a profile's session in the viewer; it asks for the port and password over IPC
+function loadVnc(window, profile) {
+  window.loadFile(path.join(__dirname, 'viewer.html'), { query: { profile: profile.id } });
+}
+
+// The viewer imports noVNC from the container's web server, which sends no CORS headers
+function prepareViewerSession() {
+  if (viewerSessionReady) return;
+  viewerSessionReady = true;
+  session.fromPartition(VIEWER_PARTITION).webRequest.onHeadersReceived({ urls: ['http://localhost/*'] },
+    (details, callback) => {
+      const port = Number(new URL(details.url).port);
+      if (!profiles.list().some(p => [p.ports.novnc, (tunnelPorts(p) || {}).novnc].includes(port))) {
+        return callback({});
+      }
+      callback({ responseHeaders: { ...details.responseHeaders, 'Access-Control-Allow-Origin': ['*'] } });
+    });
+}
+
+// What the viewer's overlay shows: 'running', 'starting', 'stopped' or 'unreachable'
+function viewerStatus(profile) {
+  const summary = profileSummary(profile);
+  if (summary.remote && summary.running && summary.remote.tunnel !== 'open') {
+    return { state: 'unreachable', detail: summary.remote.tunnelError };
+  }
+  if (summary.starting) return { state: 'starting', detail: null };
+  if (summary.running) return { state: 'running', detail: null };
+  return { state: 'stopped', detail: summary.startError };
+}
+
+// Profile of the viewer window that sent an IPC message, or null
+function viewerProfile(event) {
+  for (const [profileId, window] of vncWindows) {
+    if (!window.isDestroyed() && window.webContents === event.sender) return profiles.get(profileId);
+  }
+  return null;
+}
+
+// One terminal window per profile; noVNC runs there with the viewer's own small preload API
+function createVncWindow(profile) {
+  const existing = vncWindows.get(profile.id);
+  if (existing && !existing.isDestroyed()) {
+    existing.show();
+    existing.focus();
+    return existing;
+  }
+
+  const window = new BrowserWindow({
+    width: 1280,
+    height: 800,
+    title: `MT5 Terminal - ${profile.name}`,
+    webPreferences: {
+      preload: path.join(__dirname, 'viewer-preload.js'),
+      partition: VIEWER_PARTITION,
+      nodeIntegration: false,
+      contextIsolation: true
+    },
+    show: false
+  });
+
+  prepareViewerSession();
+  loadVnc(window, profile);
+
+  window.once('ready-to-show', () => {
+    window.show();
+  });
+
+  window.on('closed', () => {
+    vncWindows.delete(profile.id);
+  });
+
+  vncWindows.set(profile.id, window);
+  return window;
+}
+
+// Tell the dashboard to refresh after any status change
+function broadcastState() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('state:changed');
+  }
+  for (const [profileId, window] of vncWindows) {
+    const profile = profiles.get(profileId);
+    if (profile && !window.isDestroyed()) window.webContents.send('viewer:state', viewerStatus(profile));
+  }
+
+  // API clients only hear about actual changes
+  if (!api || !api.running) return;
+  for (const profile of profiles.list()) {
+    const summary = profileSummary(profile);
+    const key = JSON.stringify(summary);
+    if (apiStates.get(profile.id) !== key) {
+      apiStates.set(profile.id, key);
+      api.broadcast('state', { profile: summary });
+    }
+  }
+}
+
+// Create settings window (single instance)
+function createSettingsWindow() {
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.show();
+    settingsWindow.focus();
+    return settingsWindow;
+  }
+
+  settingsWindow = new BrowserWindow({
+    width: 640,
+    height: 760,
+    title: 'MT5 Server - Settings',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    show: false
+  });
+
+  settingsWindow.loadFile(path.join(__dirname, 'settings.html'));
+
+  settingsWindow.once('ready-to-show', () => {
+    settingsWindow.show();
+  });
+
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+  });
+
+  return settingsWindow;
+}
+
+// Register or unregister the app as a login item
+function applyLoginItem() {
+  try {
+    autoStart.apply({ enabled: config.get().startOnLogin, hidden: config.get().startHidden });
+  } catch (err) {
+    console.error(`Could not update the login item: ${err.message}`);
+  }
+}
+
+ipcMain.handle('settings:get', async () => ({
+  config: config.get(),
+  // VNC passwords stay in the main process
+  profiles: profiles.list().map(({ vncPassword, ...profile }) => profile),
+  activeProfileId: getActiveProfile().id,
+  runtime: runtime && runtime.toJSON(),
+  schedule: scheduleSummary(),
+  // Current Podman machine size; null where there is no machine
+  machine: runtime && runtime.needsMachine ? (await installer.machineInfo()) || {} : null,
+  api: { running: api.running, port: api.port, error: apiError },
+  gateway: { listeners: gateway.status(), error: gatewayError, fingerprint: gateway.fingerprint() },
+  brokers: brokers.listBrokers(),
+  defaultBroker: brokers.DEFAULT_BROKER,
+  terminalDefaults: brokers.TERMINAL_DEFAULTS
+}));
+
+// mt5cfg.ini the form's unsaved broker/terminal settings would generate
+ipcMain.handle('terminal:preview', (event, profileId, changes) => {
+  const profile = profiles.get(profileId);
+  if (!profile) return { errors: [`Profile not found: ${profileId}`], text: '' };
+  const candidate = { ...profile, ...changes };
+  const errors = ConfigStore.validateTerminal(candidate.terminal || {});
+  if (errors.length > 0) return { errors, text: '' };
+  const login = credentials.has(profile.id);
+  return { errors: [], text: brokers.renderConfig(candidate, { login }), login, mounted: !profile.remote };
+});
+
+ipcMain.handle('api:copy-token', () => {
+  clipboard.writeText(api.getToken());
+});
+
+ipcMain.handle('api:regenerate-token', async (event) => {
+  const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'question',
+    buttons: ['Regenerate', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: 'Regenerate the control API token?',
+    detail: 'Clients using the current token are disconnected and must be given the new one.'
+  });
+  if (response !== 0) return;
+  clipboard.writeText(api.regenerateToken());
+  dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'info',
+    message: 'Token regenerated',
+    detail: 'The new token has been copied to the clipboard.'
+  });
+});
+
+ipcMain.handle('gateway:copy-token', () => {
+  clipboard.writeText(gateway.getToken());
+});
+
+ipcMain.handle('gateway:regenerate-token', async (event) => {
+  const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'question',
+    buttons: ['Regenerate', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: 'Regenerate the RPyC gateway token?',
+    detail: 'Connected clients keep their session; new connections need the new token.'
+  });
+  if (response !== 0) return;
+  clipboard.writeText(gateway.regenerateToken());
+  dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'info',
+    message: 'Token regenerated',
+    detail: 'The new token has been copied to the clipboard.'
+  });
+});
+
+// Save the server certificate so clients can verify the gateway
+ipcMain.handle('gateway:save-certificate', async (event) => {
+  const source = gateway.certificatePath();
+  if (!fs.existsSync(source)) {
+    return { ok: false, message: 'Enable the gateway first; its certificate is created when it starts' };
+  }
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    defaultPath: 'mt5-gateway.crt',
+    filters: [{ name: 'Certificate', extensions: ['crt', 'pem'] }]
+  });
+  if (canceled || !filePath) return { ok: false, message: null };
+  fs.copyFileSync(source, filePath);
+  return { ok: true, message: `Saved to ${filePath}` };
+});
+
+ipcMain.handle('settings:save', async (event, { config: configChanges, profileId, profile: profileChanges }) => {
+  const profile = profiles.get(profileId);
+  if (!profile) {
+    return { errors: [`Profile not found: ${profileId}`] };
+  }
+
+  // Validate everything before saving anything
+  if (profileChanges.remote) {
+    profileChanges.remote = normalizeRemote(profileChanges.remote, profile.remote);
+  }
+  const candidate = { ...profile, ...profileChanges };
+  const others = profiles.list().filter(p => p.id !== profile.id);
+  const profileErrors = ConfigStore.validateProfile(candidate, others);
+  if (profileErrors.length > 0) {
+    return { errors: profileErrors };
+  }
+  const engineError = candidate.remote && runtime && remoteEngineError(candidate.remote, runtime.engine);
+  if (engineError) {
+    return { errors: [`remote: ${engineError}`] };
+  }
 
-// Defer installer require until needed
-let SilentInstaller = null;
+  // A container can only be stopped on the host it runs on
+  const moved = remoteKey(profile.remote) !== remoteKey(candidate.remote);
+  if (moved && isProfileRunning(profile)) {
+    return { errors: [`Stop "${profile.name}" before moving it to another host`] };
+  }
+  // The connection test finds the Podman socket and the host's architecture
+  if (candidate.remote && runtime && (moved || !candidate.remote.arch)) {
+    const result = await testConnection(candidate.remote, runtime.engine);
+    if (!result.ok) {
+      return { errors: [`remote: ${result.message}`] };
+    }
+    candidate.remote.socket = result.socket;
+    candidate.remote.arch = result.arch;
+  }
 
-// App state
-let mainWindow = null;
-let tray = null;
-let containerProcess = null;
-let isContainerRunning = false;
-let installer = null;
-let podmanBin = 'podman'; // Will be set by installer
-let appReady = false; // Flag to track if app is fully initialized
+  // A different runtime must be usable before it is saved
+  const previousRuntime = config.get().runtime;
+  const runtimeChanged = configChanges.runtime &&
+    JSON.stringify(configChanges.runtime) !== JSON.stringify(previousRuntime);
+  let nextRuntime = null;
+  if (runtimeChanged && ConfigStore.validateConfig({ ...config.get(), ...configChanges }).length === 0) {
+    try {
+      nextRuntime = await ContainerRuntime.detect(configChanges.runtime, [installer.podmanBin]);
+    } catch (err) {
+      return { errors: [`runtime: ${err.message}`] };
+    }
+    // Remote profiles must still be reachable with the new engine
+    const blocked = [...others, candidate].find(p => p.remote && remoteEngineError(p.remote, nextRuntime.engine));
+    if (blocked) {
+      return { errors: [`runtime: "${blocked.name}": ${remoteEngineError(blocked.remote, nextRuntime.engine)}`] };
+    }
+  }
 
-// Detect architecture for container image
-function getArchSuffix() {
-  const arch = process.arch;
-  if (arch === 'arm64') return 'arm64';
-  return 'x86'; // x64, ia32, etc. all use x86 image
-}
-
-// Configuration
-const CONFIG = {
-  containerName: 'mt5-server',
-  imageName: `localhost/avyaktha-mt5:eightcap-${getArchSuffix()}`,
-  ports: {
-    vnc: 5901,
-    novnc: 6081,
-    rpyc: 8001
-  },
-  vncPassword: 'mt5vnc'
-};
+  const previousMachine = config.get().machine;
+  const result = config.update(configChanges);
+  if (result.errors.length > 0) {
+    return { errors: result.errors };
+  }
+  if (JSON.stringify(previousMachine) !== JSON.stringify(config.get().machine)) {
+    await applyMachineSize(BrowserWindow.fromWebContents(event.sender));
+  }
 
-// Get container runtime (uses installer's podman path)
-function getContainerRuntime() {
-  return Promise.resolve(podmanBin);
-}
+  const profileRestart = ConfigStore.PROFILE_RESTART_KEYS.some(key =>
+    JSON.stringify(profile[key]) !== JSON.stringify(candidate[key]));
+  profiles.update(profile.id, profileChanges);
+  applyLoginItem();
+  applyHealthSettings();
+  applyUpdateSettings();
+  applyApiSettings();
+  await applyGatewaySettings();
+  applyScheduleSettings();
+  updateTrayMenu();
 
-// Check if container is running
-async function checkContainerStatus() {
-  const runtime = await getContainerRuntime();
-  if (!runtime) return false;
+  if (nextRuntime) {
+    if (!runtime || nextRuntime.bin !== runtime.bin) {
+      await switchRuntime(nextRuntime);
+      return { errors: [] };
+    }
+    installer.useRuntime(runtime, config.get().runtime);
+  }
 
-  return new Promise((resolve) => {
-    exec(`${runtime} ps --filter name=${CONFIG.containerName} --format "{{.Names}}"`, (error, stdout) => {
-      isContainerRunning = stdout.trim() === CONFIG.containerName;
-      resolve(isContainerRunning);
+  // Running containers keep their old settings until recreated
+  const affected = result.restartRequired ? profiles.list().filter(isProfileRunning) : [];
+  if (profileRestart && isProfileRunning(profile) && !affected.includes(profile)) {
+    affected.push(profile);
+  }
+
+  if (affected.length > 0) {
+    const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+      type: 'question',
+      buttons: ['Restart Now', 'Later'],
+      defaultId: 0,
+      cancelId: 1,
+      message: 'Restart required',
+      detail: `The new settings apply once the container is recreated:\n${affected.map(p => `• ${p.name}`).join('\n')}`
     });
-  });
+    if (response === 0) {
+      for (const p of affected) {
+        await restartContainer(p);
+      }
+    }
+  }
+
+  return { errors: [] };
+});
+
+ipcMain.on('settings:open', () => createSettingsWindow());
+
+// Remote host fields from Settings; the discovered socket and arch are kept
+// while the host stays the same
+function normalizeRemote(remote, previous) {
+  const identityFile = remote.identityFile ? remote.identityFile.replace(/^~(?=$|[\\/])/, os.homedir()) : null;
+  const next = {
+    host: remote.host,
+    user: remote.user || null,
+    port: remote.port || 22,
+    identityFile,
+    socket: null,
+    arch: null
+  };
+  if (previous && remoteKey(previous) === remoteKey(next)) {
+    next.socket = previous.socket || null;
+    next.arch = previous.arch || null;
+  }
+  return next;
 }
 
-// Start container
-async function startContainer() {
-  const runtime = await getContainerRuntime();
-  if (!runtime) {
-    dialog.showErrorBox('Container Runtime Not Found', 
-      'Please install Podman or Docker to run MT5 Server.\n\n' +
-      'macOS: brew install podman\n' +
-      'Linux: sudo apt install podman');
-    return false;
+// Identity of a remote host: where the container lives
+function remoteKey(remote) {
+  return remote ? `${remote.user || ''}@${remote.host}:${remote.port || 22}` : 'local';
+}
+
+ipcMain.handle('remote:test', async (event, remote) => {
+  if (!remote) return { ok: false, message: 'Choose Remote host first' };
+  if (!runtime) return { ok: false, message: 'No container runtime' };
+  const candidate = normalizeRemote(remote, null);
+  const errors = ConfigStore.validateRemote(candidate);
+  if (errors.length > 0) return { ok: false, message: errors.join('; ') };
+  return testConnection(candidate, runtime.engine);
+});
+
+ipcMain.handle('health:get', () => ({
+  history: health.getHistory(),
+  status: profiles.list().map(p => ({ profileId: p.id, name: p.name, ...health.getStatus(p.id) }))
+}));
+
+ipcMain.handle('health:clear', () => {
+  health.clearHistory();
+});
+
+ipcMain.on('usage:open', () => createUsageWindow());
+
+ipcMain.handle('usage:get', async () => {
+  const running = profiles.list().filter(isProfileRunning);
+  // First look right after launch: don't wait for the next interval
+  if (running.some(p => usage.history(p.id).length === 0)) await usage.sample();
+  return {
+    resources: config.get().resources,
+    cpuCapacity: usage.cpuCapacity(),
+    machine: runtime && runtime.needsMachine ? await installer.machineInfo() : null,
+    profiles: profiles.list().map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      running: isProfileRunning(profile),
+      samples: usage.history(profile.id)
+    }))
+  };
+});
+
+ipcMain.handle('doctor:run', () => createDoctor().checks());
+
+ipcMain.handle('doctor:export', (event) => exportDiagnostics(BrowserWindow.fromWebContents(event.sender)));
+
+ipcMain.handle('data:backup', (event, profileId) =>
+  backupProfileData(profiles.get(profileId), BrowserWindow.fromWebContents(event.sender)));
+
+ipcMain.handle('data:restore', (event, profileId) =>
+  restoreProfileData(profiles.get(profileId), BrowserWindow.fromWebContents(event.sender)));
+
+ipcMain.handle('data:reset', (event, profileId) =>
+  resetProfileData(profiles.get(profileId), BrowserWindow.fromWebContents(event.sender)));
+
+ipcMain.handle('updates:get', () => {
+  const state = updates.getState();
+  return {
+    enabled: updates.enabled,
+    registry: updates.settings.registry,
+    lastCheck: state.lastCheck || null,
+    history: state.history || [],
+    profiles: profiles.list().map(profile => {
+      const update = availableUpdates.get(profile.id) || null;
+      return {
+        id: profile.id,
+        name: profile.name,
+        imageName: profile.imageName,
+        previous: (state.previous || {})[profile.id] || null,
+        update,
+        downloading: Boolean(update && updates.isPulling(update.imageRef))
+      };
+    })
+  };
+});
+
+ipcMain.handle('updates:check', () => checkForUpdates());
+
+ipcMain.handle('updates:download', async (event, profileId) => {
+  const update = availableUpdates.get(profileId);
+  if (!update) return { ok: false, message: 'No update available' };
+  try {
+    await updates.pull(update.imageRef);
+    return { ok: true, message: `Downloaded ${update.imageRef}` };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  } finally {
+    sendToUpdateWindow('updates:changed');
   }
+});
 
-  // Check if already running
-  if (await checkContainerStatus()) {
-    console.log('Container already running');
-    return true;
+ipcMain.handle('updates:apply', async (event, profileId) => {
+  const profile = profiles.get(profileId);
+  const update = availableUpdates.get(profileId);
+  if (!profile || !update) return { ok: false, message: 'No update available' };
+  try {
+    // Usually already downloaded; pull() is a no-op wait if it is still running
+    await updates.pull(update.imageRef);
+  } catch (err) {
+    return { ok: false, message: err.message };
   }
+  return applyImageUpdate(profile, update.imageRef);
+});
+
+ipcMain.handle('updates:rollback', async (event, profileId) => {
+  const profile = profiles.get(profileId);
+  const previous = profile && (updates.getState().previous || {})[profileId];
+  if (!previous) return { ok: false, message: 'No previous image recorded' };
+  return applyImageUpdate(profile, previous);
+});
 
-  // Remove existing stopped container
-  exec(`${runtime} rm -f ${CONFIG.containerName}`, () => {
-    // Start new container
-    const args = [
-      'run', '-d',
-      '--name', CONFIG.containerName,
-      '-e', `VNC_PWD=${CONFIG.vncPassword}`,
-      '-e', 'MT5_HOST=0.0.0.0',
-      '-p', `${CONFIG.ports.vnc}:5901`,
-      '-p', `${CONFIG.ports.novnc}:6081`,
-      '-p', `${CONFIG.ports.rpyc}:8001`,
-      CONFIG.imageName
-    ];
+ipcMain.handle('updates:prune', async () => {
+  // The bundled image stays as the factory fallback ensureImageLoaded() relies on
+  const inUse = [...profiles.list().map(p => p.imageName), installer.imageName];
+  const removed = await updates.prune(inUse);
+  return { ok: true, message: removed.length ? `Removed ${removed.join(', ')}` : 'Nothing to remove' };
+});
 
-    containerProcess = spawn(runtime, args);
-    
-    containerProcess.on('close', (code) => {
-      console.log(`Container start exited with code ${code}`);
-      checkContainerStatus().then(updateTrayMenu);
-    });
+ipcMain.handle('logs:sources', () => ({
+  sources: [
+    { id: LogManager.APP_SOURCE, name: 'MT5 Server app' },
+    { id: LogManager.GATEWAY_SOURCE, name: 'RPyC gateway connections' },
+    ...profiles.list().map(p => ({ id: p.id, name: `Container: ${p.name}` }))
+  ],
+  selected: logWindowSource
+}));
 
-    containerProcess.stdout.on('data', (data) => {
-      console.log(`stdout: ${data}`);
-    });
+ipcMain.handle('logs:subscribe', (event, source) => {
+  logWindowSource = source;
+  return logs.backlog(source);
+});
 
-    containerProcess.stderr.on('data', (data) => {
-      console.error(`stderr: ${data}`);
-    });
+ipcMain.handle('logs:save', async (event, source, text) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Save Logs',
+    defaultPath: path.join(app.getPath('downloads'), `mt5-server-${source}-${stamp}.log`),
+    filters: [{ name: 'Log files', extensions: ['log', 'txt'] }]
   });
+  if (canceled || !filePath) return false;
+  fs.writeFileSync(filePath, text);
+  return true;
+});
 
-  // Wait for container to start
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  await checkContainerStatus();
-  updateTrayMenu();
-  return isContainerRunning;
-}
+ipcMain.handle('clipboard:write', (event, text) => {
+  clipboard.writeText(text);
+});
+
+ipcMain.on('vnc:open', (event, profileId) => {
+  const profile = profiles.get(profileId) || getActiveProfile();
+  if (isProfileRunning(profile)) {
+    createVncWindow(profile);
+  }
+});
+
+ipcMain.on('logs:open', (event, source) => createLogWindow(source));
+
+ipcMain.handle('viewer:session', (event) => {
+  const profile = viewerProfile(event);
+  if (!profile) return null;
+  return {
+    name: profile.name,
+    // A remote profile's noVNC comes through its tunnel's local port
+    port: (endpointFor(profile) || { ports: profile.ports }).ports.novnc,
+    password: getVncPassword(profile),
+    status: viewerStatus(profile)
+  };
+});
+
+ipcMain.handle('viewer:clipboard-read', (event) => (viewerProfile(event) ? clipboard.readText() : null));
+
+ipcMain.handle('viewer:clipboard-write', (event, text) => {
+  if (viewerProfile(event) && typeof text === 'string') clipboard.writeText(text);
+});
+
+ipcMain.handle('viewer:start', async (event) => {
+  const profile = viewerProfile(event);
+  if (profile && !isProfileRunning(profile)) await requestStart(profile);
+});
+
+// Summary of every profile plus full details for the selected one
+ipcMain.handle('dashboard:get', async (event, profileId) => {
+  const profile = profiles.get(profileId) || getActiveProfile();
+  const info = await getContainerInfo(runtimeFor(profile), profile, endpointFor(profile));
+  return {
+    profiles: profiles.list().map(profileSummary),
+    profile: {
+      ...profileSummary(profile),
+      image: info.image,
+      architecture: info.architecture,
+      startedAt: info.startedAt,
+      stats: info.stats,
+      ports: profile.ports,
+      reachable: info.ports
+    }
+  };
+});
+
+ipcMain.handle('container:control', async (event, profileId, action) => {
+  const profile = profiles.get(profileId);
+  if (!profile) return false;
+
+  if (action === 'start' && !isProfileRunning(profile)) {
+    await requestStart(profile);
+  } else if (action === 'stop') {
+    await requestStop(profile);
+  } else if (action === 'restart') {
+    await restartContainer(profile);
+  }
+  return true;
+});
+
+ipcMain.handle('vnc:copy-password', (event, profileId) => {
+  const profile = profiles.get(profileId);
+  if (profile) clipboard.writeText(getVncPassword(profile));
+});
+
+ipcMain.handle('vnc:regenerate', (event, profileId) => {
+  const profile = profiles.get(profileId);
+  if (profile) return regenerateVncPassword(profile);
+});
 
-// Stop container
-async function stopContainer() {
-  const runtime = await getContainerRuntime();
-  if (!runtime) return;
+// Log in from inside the running terminal using the stored credentials
+function testCredentials(profile) {
+  const secretEnv = credentials.toEnv(profile.id);
+  const script = [
+    'import os, MetaTrader5 as mt5',
+    'ok = mt5.initialize(login=int(os.environ["MT5_ACCOUNT"]), password=os.environ["MT5_PASSWORD"],',
+    '                    server=os.environ["MT5_SERVER"], timeout=30000)',
+    'print("OK" if ok else "FAIL %s" % (mt5.last_error(),))'
+  ].join('\n');
 
   return new Promise((resolve) => {
-    exec(`${runtime} stop ${CONFIG.containerName}`, (error) => {
-      isContainerRunning = false;
-      updateTrayMenu();
-      resolve(!error);
+    const args = ['exec'];
+    Object.keys(secretEnv).forEach(name => args.push('-e', name));
+    args.push(profile.containerName, 'wine', 'C:\\Python39x64\\python.exe', '-c', script);
+
+    let output = '';
+    const [bin, ...prefix] = ContainerRuntime.splitCommand(runtimeFor(profile));
+    const child = spawn(bin, [...prefix, ...args], { env: { ...process.env, ...secretEnv } });
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.stdout.on('data', (data) => { output += data; });
+    child.stderr.on('data', (data) => { output += data; });
+    child.on('close', () => {
+      clearTimeout(timer);
+      const line = output.trim().split('\n').pop() || '';
+      resolve(line.startsWith('OK')
+        ? { ok: true, message: 'Login succeeded' }
+        : { ok: false, message: line.replace(/^FAIL\s*/, '') || 'No response from terminal' });
     });
   });
 }
 
-// Update tray menu based on container status
-function updateTrayMenu() {
-  if (!tray) return;
-
-  const statusText = isContainerRunning ? '● Running' : '○ Stopped';
-  const statusColor = isContainerRunning ? '#00ff00' : '#ff0000';
+ipcMain.handle('credentials:get', (event, profileId) => credentials.summary(profileId));
 
-  const contextMenu = Menu.buildFromTemplate([
-    { 
-      label: `MT5 Server ${statusText}`,
-      enabled: false
-    },
-    { type: 'separator' },
-    {
-      label: 'Open MT5 (noVNC)',
-      click: () => {
-        if (isContainerRunning) {
-          shell.openExternal(`http://localhost:${CONFIG.ports.novnc}`);
-        } else {
-          dialog.showMessageBox({
-            type: 'info',
-            message: 'Container not running',
-            detail: 'Please start the container first.'
-          });
-        }
-      }
-    },
-    {
-      label: 'Open Dashboard',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-        } else {
-          createWindow();
-        }
-      }
-    },
-    { type: 'separator' },
-    {
-      label: isContainerRunning ? 'Stop Server' : 'Start Server',
-      click: async () => {
-        if (isContainerRunning) {
-          await stopContainer();
-        } else {
-          await startContainer();
-        }
-      }
-    },
-    {
-      label: 'Restart Server',
-      enabled: isContainerRunning,
-      click: async () => {
-        await stopContainer();
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        await startContainer();
-      }
-    },
-    { type: 'separator' },
-    {
-      label: 'View Logs',
-      click: async () => {
-        const runtime = await getContainerRuntime();
-        if (runtime) {
-          exec(`${runtime} logs --tail 100 ${CONFIG.containerName}`, (error, stdout, stderr) => {
-            const logs = stdout || stderr || 'No logs available';
-            dialog.showMessageBox({
-              type: 'info',
-              title: 'Container Logs',
-              message: 'MT5 Server Logs',
-              detail: logs.slice(-2000) // Last 2000 chars
-            });
-          });
-        }
-      }
-    },
-    { type: 'separator' },
-    {
-      label: 'Quit MT5 Server',
-      click: () => {
-        // Force quit without dialog from tray
-        app.isQuitting = true;
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.destroy();
-        }
-        if (tray) {
-          tray.destroy();
-        }
-        app.quit();
-      }
-    }
-  ]);
+ipcMain.handle('credentials:save', async (event, profileId, values) => {
+  const profile = profiles.get(profileId);
+  if (!profile) return { errors: [`Profile not found: ${profileId}`] };
 
-  tray.setContextMenu(contextMenu);
-  tray.setToolTip(`MT5 Server - ${statusText}`);
-}
+  let errors;
+  try {
+    errors = credentials.set(profileId, values);
+  } catch (err) {
+    errors = [err.message];
+  }
+  if (errors.length > 0) return { errors };
 
-// Create main window
-function createWindow() {
-  mainWindow = new BrowserWindow({
-    width: 900,
-    height: 700,
-    title: 'MT5 Server',
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true
-    },
-    show: false
-  });
+  if (isProfileRunning(profile)) {
+    const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+      type: 'question',
+      buttons: ['Restart Now', 'Later'],
+      defaultId: 0,
+      cancelId: 1,
+      message: 'Restart required',
+      detail: `The new broker login is used once "${profile.name}" is restarted.`
+    });
+    if (response === 0) await restartContainer(profile);
+  }
+  return { errors: [] };
+});
 
-  // Load noVNC interface
-  if (isContainerRunning) {
-    mainWindow.loadURL(`http://localhost:${CONFIG.ports.novnc}/vnc.html?autoconnect=true&password=${CONFIG.vncPassword}`);
-  } else {
-    mainWindow.loadFile(path.join(__dirname, 'index.html'));
+ipcMain.handle('credentials:test', async (event, profileId) => {
+  const profile = profiles.get(profileId);
+  if (!profile) return { ok: false, message: `Profile not found: ${profileId}` };
+  if (!credentials.has(profileId)) return { ok: false, message: 'No credentials stored' };
+  if (!(await checkContainerStatus(profile))) {
+    return { ok: false, message: 'Start the container first' };
   }
+  return testCredentials(profile);
+});
 
-  mainWindow.once('ready-to-show', () => {
-    mainWindow.show();
-  });
+ipcMain.handle('credentials:clear', (event, profileId) => {
+  credentials.clear(profileId);
+  return { errors: [] };
+});
 
-  mainWindow.on('close', (event) => {
-    // Force quit - destroy window and exit
-    app.isQuitting = true;
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.destroy();
+// Tray icon with an amber dot in the bottom-right corner
+function createAlertIcon(icon) {
+  const { width, height } = icon.getSize();
+  const bitmap = Buffer.from(icon.toBitmap()); // BGRA
+  const radius = Math.max(3, Math.round(width / 4));
+  const cx = width - radius;
+  const cy = height - radius;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= radius ** 2) {
+        const i = (y * width + x) * 4;
+        bitmap[i] = 0x00;     // B
+        bitmap[i + 1] = 0xb0; // G
+        bitmap[i + 2] = 0xff; // R
+        bitmap[i + 3] = 0xff; // A
+      }
     }
-    app.quit();
-  });
+  }
 
-  mainWindow.on('closed', () => {
-    mainWindow = null;
-  });
+  return nativeImage.createFromBitmap(bitmap, { width, height });
 }
 
 // Create tray icon
@@ -277,6 +2209,8 @@ function createTray() {
       icon = nativeImage.createFromPath(iconPath);
       icon = icon.resize({ width: 16, height: 16 });
       console.log('Tray icon loaded from:', iconPath);
+      trayIcon = icon;
+      trayAlertIcon = createAlertIcon(icon);
       break;
     }
   }
@@ -300,15 +2234,15 @@ function createTray() {
   updateTrayMenu();
 }
 
-// Show installation progress window
-function createInstallWindow() {
+// Show installation progress window (also used for repairs)
+function createInstallWindow(title = 'MT5 Server - Setup') {
   const installWindow = new BrowserWindow({
     width: 500,
-    height: 400,
+    height: 560,
     frame: true,
     resizable: false,
     center: true,
-    title: 'MT5 Server - Setup',
+    title,
     show: true, // Show immediately
     webPreferences: {
       nodeIntegration: true,
@@ -321,10 +2255,104 @@ function createInstallWindow() {
   return installWindow;
 }
 
+app.on('second-instance', (event, argv) => {
+  // A login item firing while the app already runs needs nothing
+  if (argv.includes(AutoStart.HIDDEN_FLAG)) return;
+  showDashboard();
+});
+
 // App ready
 app.whenReady().then(async () => {
-  // Show startup window immediately to avoid dock bouncing
-  mainWindow = createInstallWindow();
+  if (!isPrimaryInstance) return;
+
+  // Capture app output to disk before anything else logs
+  logs = new LogManager({ userDataPath: app.getPath('userData'), getRuntime: runtimeFor });
+  logs.captureConsole();
+  logs.on('line', (entry) => {
+    if (logWindow && !logWindow.isDestroyed() && entry.source === logWindowSource) {
+      logWindow.webContents.send('logs:line', entry);
+    }
+  });
+
+  config = new ConfigStore(app.getPath('userData'));
+  config.load();
+  autoStart = new AutoStart(app);
+  applyLoginItem();
+  launchedHidden = autoStart.isHiddenLaunch(process.argv, config.get().startHidden);
+
+  // Show startup window immediately to avoid dock bouncing (not when starting in the tray)
+  if (!launchedHidden) {
+    mainWindow = createInstallWindow();
+  } else {
+    console.log('Started at login, staying in the tray');
+  }
+
+  profiles = new ProfileStore(app.getPath('userData'), { defaultImage: ContainerManager.DEFAULT_IMAGE });
+  profiles.load();
+
+  credentials = new CredentialStore(app.getPath('userData'));
+  profiles.list().forEach(ensureVncPassword);
+
+  health = new HealthMonitor({
+    userDataPath: app.getPath('userData'),
+    getRuntime: runtimeFor,
+    getEndpoint: endpointFor,
+    restart: recoverContainer,
+    settings: config.get().health
+  });
+  health.on('status', (profileId) => {
+    const profile = profiles.get(profileId);
+    if (profile) checkContainerStatus(profile).then(updateTrayMenu);
+  });
+  health.on('incident', notifyIncident);
+  health.on('incident', incident => api && api.broadcast('incident', { incident }));
+  applyHealthSettings();
+
+  usage = new UsageMonitor({
+    getRuntime: runtimeFor,
+    getSettings: () => config.get(),
+    getProfiles: () => profiles.list().filter(isProfileRunning),
+    getCpuCount: () => (runtime && runtime.needsMachine ? config.get().machine.cpus : os.cpus().length)
+  });
+  usage.on('warning', notifyUsageWarning);
+
+  scheduler = new Scheduler(config.get().schedule);
+  scheduleKey = JSON.stringify(config.get().schedule);
+  scheduler.on('change', onScheduleChange);
+
+  volumes = new VolumeManager({ getRuntime: runtimeFor });
+
+  containers = new ContainerManager({
+    getRuntime: runtimeFor,
+    getSettings: () => config.get(),
+    volumes,
+    getSecrets: getContainerSecrets,
+    releaseSecrets: (profile) => credentials.removeSecretFile(profile.id),
+    getTerminalConfig,
+    getTunnelPorts: tunnelPorts
+  });
+  // Keep the on-disk container log current while it runs
+  containers.on('status', (profile, running) => {
+    if (running) logs.follow(profile);
+    syncTunnel(profile, running);
+  });
+  showConfigNotices();
+
+  updates = new ImageUpdater({
+    userDataPath: app.getPath('userData'),
+    getRuntime: () => runtime,
+    settings: config.get().updates
+  });
+  updates.on('due', () => checkForUpdates());
+  updates.on('progress', (progress) => sendToUpdateWindow('updates:progress', progress));
+  applyUpdateSettings();
+
+  api = new ControlApi({ userDataPath: app.getPath('userData'), handlers: apiHandlers });
+  gateway = new RpycGateway({
+    userDataPath: app.getPath('userData'),
+    getEndpoint: endpointFor,
+    log: (level, text) => logs.gateway(level, text)
+  });
   
   // Now load installer module (deferred to speed up window display)
   SilentInstaller = require('./installer');
@@ -332,35 +2360,59 @@ app.whenReady().then(async () => {
   // Initialize installer
   installer = new SilentInstaller((progress) => {
     console.log(`[Install] ${progress.step}: ${progress.message} (${progress.progress}%)`);
-    // Send progress to install window if exists
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('install-progress', progress);
-    }
-  });
+    // Send progress to the install or repair window if one exists
+    [mainWindow, repairWindow].forEach((window) => {
+      if (window && !window.isDestroyed()) {
+        window.webContents.send('install-progress', progress);
+      }
+    });
+  }, { runtime: config.get().runtime, machine: config.get().machine });
 
   // Check if first run / needs installation
   if (!installer.isInstalled()) {
+    // Setup can't run unseen
+    if (!mainWindow) mainWindow = createInstallWindow();
     try {
       // Run silent installation (window already showing)
       await installer.install();
       
-      // Installation complete - update podman path
-      podmanBin = installer.getPodmanPath();
+      // Installation complete - use the runtime it set up
+      runtime = installer.runtime;
       
       // Close install window and show main app
       mainWindow.destroy();
       mainWindow = null;
       
     } catch (error) {
-      dialog.showErrorBox('Installation Failed', 
-        `Failed to install MT5 Server: ${error.message}\n\n` +
-        'Please check your internet connection and try again.');
+      // Finished steps are kept, so the next launch resumes; say what to fix first
+      const checks = await createDoctor().checks().catch(() => []);
+      const fixes = checks.filter(c => c.status === 'fail' && c.fix).map(c => `• ${c.name}: ${c.fix}`);
+      const { response } = await dialog.showMessageBox({
+        type: 'error',
+        buttons: ['Export Support Bundle...', 'Quit'],
+        defaultId: 1,
+        cancelId: 1,
+        title: 'Installation Failed',
+        message: 'MT5 Server could not be installed',
+        detail: `${error.message}\n\n` +
+          (fixes.length ? `Suggested fixes:\n${fixes.join('\n')}\n\n` : '') +
+          'Setup resumes where it stopped the next time you open the app. ' +
+          'If it keeps failing, attach a support bundle to your ticket.'
+      });
+      if (response === 0) {
+        await exportDiagnostics(null).catch(err => dialog.showErrorBox('Export Failed', err.message));
+      }
       app.quit();
       return;
     }
   } else {
     // Already installed - show startup progress
-    podmanBin = installer.getPodmanPath();
+    try {
+      runtime = await installer.getRuntime();
+      console.log(`Using ${runtime.label} (${runtime.bin})`);
+    } catch (err) {
+      console.error('No container runtime:', err.message);
+    }
     
     // Send startup status
     const sendStatus = (step, message, progress) => {
@@ -369,12 +2421,12 @@ app.whenReady().then(async () => {
       }
     };
     
-    // Ensure Podman machine is running (may have been stopped/deleted)
-    sendStatus('machine', 'Starting Podman machine...', 10);
+    // Ensure Podman machine / Docker daemon is running (may have been stopped/deleted)
+    sendStatus('machine', 'Starting container engine...', 10);
     try {
       await installer.ensureMachineRunning();
     } catch (err) {
-      console.error('Failed to start Podman machine:', err);
+      console.error('Failed to start container engine:', err);
     }
     
     // Ensure image is loaded
@@ -386,20 +2438,46 @@ app.whenReady().then(async () => {
     }
     
     sendStatus('verify', 'Checking container status...', 40);
-    await checkContainerStatus();
+    await checkAllContainers();
     
-    if (!isContainerRunning) {
-      sendStatus('machine', 'Starting MT5 container...', 40);
-      await startContainer();
-      sendStatus('image', 'Waiting for MT5 Terminal...', 70);
-      // Wait for MT5 to initialize
-      await new Promise(resolve => setTimeout(resolve, 5000));
+    for (const profile of profiles.list().filter(p => p.autoStart)) {
+      // Outside trading hours the schedule starts it later
+      if (scheduler.enabled && isScheduled(profile) && !isProfileRunning(profile) && !scheduler.shouldRun()) {
+        continue;
+      }
+      if (isProfileRunning(profile)) {
+        console.log(`Reattached to running container ${profile.containerName}`);
+      } else {
+        sendStatus('container', `Starting MT5 container (${profile.name})...`, 45);
+        if (!(await startContainer(profile, !launchedHidden))) {
+          if (launchedHidden) notifyStartFailed(profile, 'start at login');
+          continue;
+        }
+      }
+
+      // Returns quickly when the container was already up
+      try {
+        await waitForReady(profile, (progress) => {
+          if (progress.step !== 'complete') {
+            sendStatus(progress.step, `${profile.name}: ${progress.message}`, progress.progress);
+          }
+        });
+        health.watch(profile);
+      } catch (error) {
+        showReadinessError(profile, error);
+      }
     }
     
+    // Containers kept running at the last quit: follow them again
+    for (const profile of profiles.list().filter(p => !p.autoStart && isProfileRunning(p))) {
+      console.log(`Reattached to running container ${profile.containerName}`);
+      watchReadiness(profile);
+    }
+
     // Re-check container status
-    await checkContainerStatus();
+    await checkAllContainers();
     
-    sendStatus('complete', 'Opening MT5 Terminal...', 100);
+    sendStatus('complete', 'Opening dashboard...', 100);
     await new Promise(resolve => setTimeout(resolve, 500));
     
     // Close startup window
@@ -412,31 +2490,141 @@ app.whenReady().then(async () => {
   // Create tray
   createTray();
   
-  // Create main window - isContainerRunning should be true now
-  createWindow();  
+  // Create the dashboard window, unless started in the tray
+  if (!launchedHidden) {
+    createWindow();
+  }
   
   // App is now fully ready
   appReady = true;
-});
 
-// Quit when all windows are closed (only after app is ready)
-app.on('window-all-closed', () => {
-  if (appReady) {
-    app.quit();
+  // Serve the control API and the gateway once containers can actually be controlled
+  applyApiSettings();
+  applyGatewaySettings();
+  usage.start();
+  scheduler.start();
+
+  // Look for newer images in the background
+  if (updates.enabled && config.get().updates.autoCheck && runtime) {
+    checkForUpdates();
   }
 });
 
-// Cleanup on quit - stop container
-app.on('before-quit', () => {
+// The app lives in the tray: closing every window doesn't quit
+app.on('window-all-closed', () => {});
+
+// Running containers to stop on quit: all, none (kept running), or null to cancel the quit
+async function confirmShutdown() {
+  const running = profiles && runtime ? profiles.list().filter(isProfileRunning) : [];
+  if (running.length === 0) return [];
+
+  const settings = config.get().shutdown;
+  const names = running.map(p => p.name).join(', ');
+  let action = settings.onQuit;
+
+  if (action === 'ask') {
+    const { response, checkboxChecked } = await dialog.showMessageBox({
+      type: 'question',
+      buttons: ['Keep Running', 'Stop Containers', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      title: 'Quit MT5 Server',
+      message: 'Keep the MT5 containers running after quitting?',
+      detail: `Running: ${names}\n\n` +
+        'Kept containers go on trading and are picked up again the next time the app starts. ' +
+        'Stopped containers close the terminal and any Expert Advisors.',
+      checkboxLabel: 'Remember my choice'
+    });
+    if (response === 2) return null;
+    action = response === 0 ? 'keep' : 'stop';
+    if (checkboxChecked) {
+      config.update({ shutdown: { onQuit: action } });
+    }
+  }
+
+  if (action === 'keep') {
+    running.forEach(p => console.log(`Leaving ${p.containerName} running`));
+    return [];
+  }
+
+  if (settings.confirmOpenPositions) {
+    const open = [];
+    for (const profile of running) {
+      const count = await containers.openPositions(profile);
+      if (count === null) {
+        open.push(`${profile.name}: positions could not be checked`);
+      } else if (count > 0) {
+        open.push(`${profile.name}: ${count} open position${count === 1 ? '' : 's'}`);
+      }
+    }
+
+    if (open.length > 0) {
+      const { response } = await dialog.showMessageBox({
+        type: 'warning',
+        buttons: ['Keep Running', 'Stop Anyway', 'Cancel'],
+        defaultId: 0,
+        cancelId: 2,
+        title: 'Open Positions',
+        message: 'Positions may be open',
+        detail: `${open.join('\n')}\n\n` +
+          'Stopping closes the terminal; open positions stay with the broker but stops, ' +
+          'trailing stops and Expert Advisors stop managing them.'
+      });
+      if (response === 2) return null;
+      if (response === 0) return [];
+    }
+  }
+
+  return running;
+}
+
+// Settle running containers, stop the monitors and wait for requested stops
+async function shutdown() {
+  const toStop = await confirmShutdown();
+  if (toStop === null) return false;
+
   app.isQuitting = true;
-  
-  // Stop container when quitting (fire and forget)
-  if (isContainerRunning && podmanBin) {
-    const { exec } = require('child_process');
-    exec(`${podmanBin} stop ${CONFIG.containerName}`, (err) => {
-      if (err) console.log('Container stop:', err.message);
+  if (health) health.stop();
+  if (usage) usage.stop();
+  if (scheduler) scheduler.stop();
+  if (logs) logs.stopAll();
+  if (updates) updates.stop();
+  if (api) api.stop();
+  if (gateway) gateway.stop();
+
+  if (toStop.length > 0) {
+    const grace = config.get().shutdown.graceTimeout;
+    if (tray) tray.setToolTip('MT5 Server - Stopping containers...');
+    console.log(`Stopping ${toStop.length} container(s), up to ${grace}s each`);
+    const results = await Promise.all(toStop.map(profile => containers.stop(profile, grace)));
+    toStop.forEach((profile, i) => {
+      if (!results[i]) console.log(`Container stop failed: ${profile.containerName}`);
     });
   }
+
+  // Remote containers kept running stay reachable on their host over SSH
+  tunnels.forEach(tunnel => tunnel.close());
+  return true;
+}
+
+// Quitting waits until running containers are kept or stopped
+app.on('before-quit', (event) => {
+  if (quitConfirmed) return;
+  event.preventDefault();
+  if (shuttingDown) return;
+
+  shuttingDown = true;
+  shutdown()
+    .catch((err) => {
+      console.error('Shutdown failed:', err);
+      return true;
+    })
+    .then((proceed) => {
+      shuttingDown = false;
+      if (!proceed) return;
+      quitConfirmed = true;
+      app.quit();
+    });
 });
 
 app.on('activate', () => {
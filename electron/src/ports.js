@@ -0,0 +1,126 @@
+/**
+ * MT5 Server - Port Preflight
+ *
+ * Handles:
+ * 1. Checking whether a profile's ports can be bound
+ * 2. Finding the process holding a busy port (ss/lsof, netstat/tasklist)
+ * 3. Picking a free port block when the usual one is taken
+ */
+
+const { exec } = require('child_process');
+const net = require('net');
+
+const PORT_LABELS = {
+  vnc: 'VNC',
+  novnc: 'noVNC',
+  rpyc: 'RPyC'
+};
+
+// Processes that publish ports for another container
+const CONTAINER_PROXIES = /^(rootlessport|gvproxy|docker-proxy|slirp4netns|pasta|conmon|com\.docker\.backend|vpnkit)/i;
+
+function run(command) {
+  return new Promise((resolve) => {
+    exec(command, { timeout: 5000, windowsHide: true }, (error, stdout) => resolve(error ? '' : stdout));
+  });
+}
+
+// Whether something else is listening on a port
+function isPortFree(port, host = '0.0.0.0') {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, host, () => server.close(() => resolve(true)));
+  });
+}
+
+// { pid, command } of the process listening on a port, or null if unknown
+async function findPortOwner(port) {
+  if (process.platform === 'win32') {
+    // "  TCP    0.0.0.0:5901    0.0.0.0:0    LISTENING    1234"
+    const line = (await run('netstat -ano -p TCP')).split('\n')
+      .map(l => l.trim().split(/\s+/))
+      .find(cols => cols[3] === 'LISTENING' && cols[1] && cols[1].endsWith(`:${port}`));
+    if (!line) return null;
+    const pid = Number(line[4]);
+    // "\"python.exe\",\"1234\",..."
+    const task = await run(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+    const match = task.match(/^"([^"]+)"/);
+    return { pid, command: match ? match[1] : null };
+  }
+
+  if (process.platform === 'linux') {
+    // users:(("python3",pid=1234,fd=3)); empty for other users' processes without root
+    const match = (await run(`ss -Hltnp "sport = :${port}"`)).match(/\(\("([^"]+)",pid=(\d+)/);
+    if (match) return { pid: Number(match[2]), command: match[1] };
+  }
+
+  // -F output: one field per line, "p1234" then "cpython3"
+  const output = await run(`lsof -nP -iTCP:${port} -sTCP:LISTEN -Fpc`);
+  const pid = output.match(/^p(\d+)$/m);
+  if (!pid) return null;
+  const command = output.match(/^c(.+)$/m);
+  return { pid: Number(pid[1]), command: command ? command[1] : null };
+}
+
+// Human-readable holder of a port, for dialogs and logs
+function describeOwner(owner) {
+  if (!owner) return 'another program';
+  if (owner.command && CONTAINER_PROXIES.test(owner.command)) {
+    return `another container (${owner.command}, pid ${owner.pid})`;
+  }
+  return owner.command ? `${owner.command} (pid ${owner.pid})` : `pid ${owner.pid}`;
+}
+
+// Busy ports of a { vnc, novnc, rpyc } block: [{ name, label, port, owner }]
+async function checkPorts(ports, host = '0.0.0.0') {
+  const conflicts = [];
+  for (const [name, port] of Object.entries(ports)) {
+    if (await isPortFree(port, host)) continue;
+    conflicts.push({ name, label: PORT_LABELS[name] || name, port, owner: await findPortOwner(port) });
+  }
+  return conflicts;
+}
+
+// One line per conflict, e.g. "VNC port 5901 is used by python3 (pid 1234)"
+function formatConflicts(conflicts) {
+  return conflicts.map(c => `${c.label} port ${c.port} is used by ${describeOwner(c.owner)}`).join('\n');
+}
+
+// A port the OS reports free on `host`, for local ends of tunnels
+function freePort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// First block from `allocate(reserved)` whose ports are all free on this host
+async function findFreePorts(allocate, host = '0.0.0.0', attempts = 50) {
+  const reserved = new Set();
+  for (let i = 0; i < attempts; i++) {
+    const ports = allocate(reserved);
+    const busy = [];
+    for (const port of Object.values(ports)) {
+      if (!(await isPortFree(port, host))) busy.push(port);
+    }
+    if (busy.length === 0) return ports;
+    busy.forEach(port => reserved.add(port));
+  }
+  throw new Error('No free port block found');
+}
+
+module.exports = {
+  PORT_LABELS,
+  isPortFree,
+  findPortOwner,
+  describeOwner,
+  checkPorts,
+  formatConflicts,
+  freePort,
+  findFreePorts
+};
@@ -0,0 +1,75 @@
+/**
+ * MT5 Server - Preload Script
+ *
+ * Exposes a small, explicit API to renderer pages through contextBridge
+ * so windows can run with contextIsolation and without nodeIntegration.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('mt5', {
+  // Dashboard
+  getDashboard: (profileId) => ipcRenderer.invoke('dashboard:get', profileId),
+  controlContainer: (profileId, action) => ipcRenderer.invoke('container:control', profileId, action),
+  onStateChanged: (callback) => ipcRenderer.on('state:changed', () => callback()),
+  backupData: (profileId) => ipcRenderer.invoke('data:backup', profileId),
+  restoreData: (profileId) => ipcRenderer.invoke('data:restore', profileId),
+  resetData: (profileId) => ipcRenderer.invoke('data:reset', profileId),
+
+  // Settings
+  getSettings: () => ipcRenderer.invoke('settings:get'),
+  saveSettings: (payload) => ipcRenderer.invoke('settings:save', payload),
+  openSettings: () => ipcRenderer.send('settings:open'),
+
+  // Log viewer
+  getLogSources: () => ipcRenderer.invoke('logs:sources'),
+  subscribeLogs: (source) => ipcRenderer.invoke('logs:subscribe', source),
+  onLogLine: (callback) => ipcRenderer.on('logs:line', (event, entry) => callback(entry)),
+  saveLogs: (source, text) => ipcRenderer.invoke('logs:save', source, text),
+  copyText: (text) => ipcRenderer.invoke('clipboard:write', text),
+  openLogs: (source) => ipcRenderer.send('logs:open', source),
+
+  // Health monitoring
+  getHealth: () => ipcRenderer.invoke('health:get'),
+  getUsage: () => ipcRenderer.invoke('usage:get'),
+  openUsage: () => ipcRenderer.send('usage:open'),
+  clearHealthHistory: () => ipcRenderer.invoke('health:clear'),
+
+  // Diagnostics
+  runDiagnostics: () => ipcRenderer.invoke('doctor:run'),
+  exportDiagnostics: () => ipcRenderer.invoke('doctor:export'),
+
+  // Image updates
+  getUpdates: () => ipcRenderer.invoke('updates:get'),
+  checkUpdates: () => ipcRenderer.invoke('updates:check'),
+  downloadUpdate: (profileId) => ipcRenderer.invoke('updates:download', profileId),
+  applyUpdate: (profileId) => ipcRenderer.invoke('updates:apply', profileId),
+  rollbackUpdate: (profileId) => ipcRenderer.invoke('updates:rollback', profileId),
+  pruneImages: () => ipcRenderer.invoke('updates:prune'),
+  onUpdateProgress: (callback) => ipcRenderer.on('updates:progress', (event, progress) => callback(progress)),
+  onUpdatesChanged: (callback) => ipcRenderer.on('updates:changed', () => callback()),
+
+  // VNC (the password itself never reaches the renderer)
+  openVnc: (profileId) => ipcRenderer.send('vnc:open', profileId),
+  copyVncPassword: (profileId) => ipcRenderer.invoke('vnc:copy-password', profileId),
+  regenerateVncPassword: (profileId) => ipcRenderer.invoke('vnc:regenerate', profileId),
+
+  // Remote hosts
+  testRemote: (remote) => ipcRenderer.invoke('remote:test', remote),
+
+  // Control API (the token itself never reaches the renderer)
+  copyApiToken: () => ipcRenderer.invoke('api:copy-token'),
+  regenerateApiToken: () => ipcRenderer.invoke('api:regenerate-token'),
+  copyGatewayToken: () => ipcRenderer.invoke('gateway:copy-token'),
+  regenerateGatewayToken: () => ipcRenderer.invoke('gateway:regenerate-token'),
+  saveGatewayCertificate: () => ipcRenderer.invoke('gateway:save-certificate'),
+
+  // Broker credentials (the password is write-only)
+  getCredentials: (profileId) => ipcRenderer.invoke('credentials:get', profileId),
+  saveCredentials: (profileId, values) => ipcRenderer.invoke('credentials:save', profileId, values),
+  testCredentials: (profileId) => ipcRenderer.invoke('credentials:test', profileId),
+  clearCredentials: (profileId) => ipcRenderer.invoke('credentials:clear', profileId),
+
+  // Generated mt5cfg.ini
+  previewTerminalConfig: (profileId, changes) => ipcRenderer.invoke('terminal:preview', profileId, changes)
+});
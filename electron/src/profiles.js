@@ -0,0 +1,144 @@
+/**
+ * MT5 Server - Profile Store
+ *
+ * Handles:
+ * 1. Named profiles, one MT5 container per broker/account
+ * 2. Persistence in userData/profiles.json
+ * 3. Port block allocation so profiles never collide
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Ports of the first profile; every further profile gets the next free block
+const BASE_PORTS = {
+  vnc: 5901,
+  novnc: 6081,
+  rpyc: 8001
+};
+
+const DEFAULT_PROFILE_ID = 'default';
+
+class ProfileStore {
+  constructor(userDataPath, options = {}) {
+    this.file = path.join(userDataPath, 'profiles.json');
+    this.defaultImage = options.defaultImage;
+    this.profiles = [];
+  }
+
+  // Load profiles from disk, creating the default profile on first run
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.profiles = Array.isArray(data.profiles) ? data.profiles : [];
+    } catch {
+      this.profiles = [];
+    }
+
+    if (!this.get(DEFAULT_PROFILE_ID)) {
+      // Keeps the pre-profile container name so existing installs are reused
+      this.profiles.unshift({
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        containerName: 'mt5-server',
+        imageName: this.defaultImage,
+        ports: { ...BASE_PORTS },
+        autoStart: true
+      });
+      this.save();
+    }
+
+    return this.profiles;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ profiles: this.profiles }, null, 2));
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  get(id) {
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  // Create a new profile with its own container name and port block
+  create(options = {}) {
+    const name = (options.name || `Profile ${this.profiles.length + 1}`).trim();
+    const id = this.uniqueId(name);
+
+    const profile = {
+      id,
+      name,
+      containerName: `mt5-server-${id}`,
+      imageName: options.imageName || this.defaultImage,
+      ports: this.allocatePorts(),
+      autoStart: false
+    };
+
+    this.profiles.push(profile);
+    this.save();
+    return profile;
+  }
+
+  update(id, changes) {
+    const profile = this.get(id);
+    if (!profile) {
+      throw new Error(`Profile not found: ${id}`);
+    }
+
+    // Identity fields are fixed once the container has been created
+    const { id: _id, containerName: _containerName, ...rest } = changes;
+    Object.assign(profile, rest);
+    this.save();
+    return profile;
+  }
+
+  remove(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+      throw new Error('The default profile cannot be removed');
+    }
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    this.save();
+  }
+
+  // Find the first port block not used by any other profile (or in `reserved`)
+  allocatePorts(excludeId = null, reserved = []) {
+    const used = new Set(reserved);
+    for (const profile of this.profiles) {
+      if (profile.id === excludeId) continue;
+      Object.values(profile.ports || {}).forEach(port => used.add(port));
+    }
+
+    for (let offset = 0; offset < 1000; offset++) {
+      const ports = {
+        vnc: BASE_PORTS.vnc + offset,
+        novnc: BASE_PORTS.novnc + offset,
+        rpyc: BASE_PORTS.rpyc + offset
+      };
+      if (!Object.values(ports).some(port => used.has(port))) {
+        return ports;
+      }
+    }
+
+    throw new Error('No free port block available for a new profile');
+  }
+
+  // Derive a stable, container-safe id from the profile name
+  uniqueId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let id = base;
+    let n = 2;
+    while (this.get(id)) {
+      id = `${base}-${n++}`;
+    }
+    return id;
+  }
+}
+
+ProfileStore.BASE_PORTS = BASE_PORTS;
+ProfileStore.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
+
+module.exports = ProfileStore;
@@ -0,0 +1,190 @@
+/**
+ * MT5 Server - Readiness Probe
+ *
+ * Handles:
+ * 1. Following container logs for start.sh milestones
+ * 2. Polling the noVNC (HTTP) and RPyC (TCP) ports
+ * 3. Reporting each stage with real progress
+ * 4. Failing with a clear diagnosis on error or timeout
+ */
+
+const { exec, spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const { splitCommand } = require('./runtime');
+
+// Stages in start.sh order; `step` is the install.html step they belong to
+const STAGES = [
+  { id: 'container', step: 'container', message: 'Starting MT5 container...', progress: 45 },
+  { id: 'display', step: 'novnc', message: 'Starting virtual display and VNC...', log: '✓ Display and VNC initialized', progress: 55 },
+  { id: 'novnc', step: 'novnc', message: 'Waiting for noVNC web server...', port: 'novnc', progress: 60 },
+  { id: 'terminal', step: 'terminal', message: 'Starting MT5 Terminal...', log: '✓ MT5 terminal starting', progress: 70 },
+  { id: 'login', step: 'terminal', message: 'Waiting for MT5 Terminal to log in...', log: '✓ MT5 process detected', progress: 80 },
+  { id: 'rpc', step: 'rpc', message: 'Starting RPC server...', log: 'Starting RPC server', progress: 90 },
+  { id: 'rpyc', step: 'rpc', message: 'Waiting for RPyC API...', port: 'rpyc', progress: 95 }
+];
+
+const LOG_TAIL_LINES = 20;
+
+// HTTP check: the server must actually answer, not just accept the connection
+function checkHttp(host, port, urlPath) {
+  return new Promise((resolve) => {
+    const req = http.get({ host, port, path: urlPath, timeout: 2000 }, (res) => {
+      res.resume();
+      resolve(res.statusCode === 200);
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(false));
+  });
+}
+
+// Rootless port forwarders accept and immediately drop connections while
+// nothing listens inside the container, so require the socket to stay open
+function checkTcp(host, port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    let settled = false;
+    const done = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(2000, () => done(false));
+    socket.on('connect', () => setTimeout(() => done(true), 500));
+    socket.on('close', () => done(false));
+    socket.on('error', () => done(false));
+  });
+}
+
+class ReadinessProbe {
+  constructor(options) {
+    this.runtime = options.runtime;
+    this.containerName = options.containerName;
+    // () -> { host, ports } the ports answer on, or null while unreachable (tunnel not open yet)
+    this.getEndpoint = options.getEndpoint;
+    this.timeout = options.timeout || 300000; // start.sh alone may wait ~3 min
+    this.interval = options.interval || 1000;
+    this.onProgress = options.onProgress || (() => {});
+
+    this.milestones = new Set();
+    this.logLines = [];
+    this.fatalLine = null;
+    this.logProcess = null;
+  }
+
+  // Resolve once every stage passed; reject with a diagnosis otherwise
+  async wait() {
+    const deadline = Date.now() + this.timeout;
+    let index = 0;
+    let reported = -1;
+
+    this.followLogs();
+    try {
+      while (index < STAGES.length) {
+        const stage = STAGES[index];
+        if (reported !== index) {
+          this.onProgress({ step: stage.step, stage: stage.id, message: stage.message, progress: stage.progress });
+          reported = index;
+        }
+
+        if (this.fatalLine) {
+          throw this.failure(stage, this.fatalLine.replace(/^ERROR:\s*/, ''));
+        }
+
+        const state = await this.containerState();
+        if (state.status !== 'running') {
+          throw this.failure(stage, state.status
+            ? `Container ${state.status} (exit code ${state.exitCode})`
+            : 'Container does not exist');
+        }
+
+        if (await this.isStageDone(stage)) {
+          index++;
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw this.failure(stage, `Timed out after ${Math.round(this.timeout / 1000)}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, this.interval));
+      }
+    } finally {
+      this.stopLogs();
+    }
+
+    this.onProgress({ step: 'complete', stage: 'ready', message: 'MT5 Terminal is ready', progress: 100 });
+    return true;
+  }
+
+  async isStageDone(stage) {
+    if (stage.log) return this.milestones.has(stage.id);
+    const endpoint = stage.port ? this.getEndpoint() : null;
+    if (stage.port && !endpoint) return false;
+    if (stage.port === 'novnc') return checkHttp(endpoint.host, endpoint.ports.novnc, '/vnc.html');
+    if (stage.port === 'rpyc') return checkTcp(endpoint.host, endpoint.ports.rpyc);
+    return true; // 'container' only needs the running check
+  }
+
+  // `logs -f` replays earlier output, so a container that is already up passes quickly
+  followLogs() {
+    const [bin, ...prefix] = splitCommand(this.runtime);
+    this.logProcess = spawn(bin, [...prefix, 'logs', '-f', this.containerName]);
+    let buffer = '';
+    const onData = (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => this.handleLogLine(line));
+    };
+    this.logProcess.stdout.on('data', onData);
+    this.logProcess.stderr.on('data', onData);
+    this.logProcess.on('error', () => {});
+  }
+
+  handleLogLine(line) {
+    this.logLines.push(line);
+    if (this.logLines.length > LOG_TAIL_LINES) this.logLines.shift();
+
+    for (const stage of STAGES) {
+      if (stage.log && line.includes(stage.log)) this.milestones.add(stage.id);
+    }
+    if (line.startsWith('ERROR:')) this.fatalLine = line;
+  }
+
+  stopLogs() {
+    if (this.logProcess) {
+      this.logProcess.kill();
+      this.logProcess = null;
+    }
+  }
+
+  containerState() {
+    return new Promise((resolve) => {
+      exec(`${this.runtime} inspect --format "{{.State.Status}}|{{.State.ExitCode}}" ${this.containerName}`,
+        { timeout: 15000 }, (error, stdout) => {
+          if (error) return resolve({ status: null });
+          const [status, exitCode] = stdout.trim().split('|');
+          resolve({ status, exitCode: Number(exitCode) });
+        });
+    });
+  }
+
+  failure(stage, reason) {
+    const error = new Error(
+      `MT5 Server did not become ready: ${reason}.\n` +
+      `Stuck at: ${stage.message.replace(/\.+$/, '')}` +
+      (this.logLines.length ? `\n\nLast container output:\n${this.logLines.join('\n')}` : '')
+    );
+    error.stage = stage.id;
+    error.reason = reason;
+    error.logTail = [...this.logLines];
+    return error;
+  }
+}
+
+ReadinessProbe.STAGES = STAGES;
+ReadinessProbe.checkHttp = checkHttp;
+ReadinessProbe.checkTcp = checkTcp;
+
+module.exports = ReadinessProbe;
@@ -0,0 +1,264 @@
+/**
+ * MT5 Server - Remote Hosts
+ *
+ * Handles:
+ * 1. Profiles whose container runs on another machine, reached over SSH
+ * 2. The runtime command that drives it there (podman --url ssh://..., docker -H ssh://...)
+ * 3. SSH tunnels that bring its VNC, noVNC and RPyC ports back to free local ports
+ * 4. Testing a connection and finding the remote Podman socket and architecture
+ *
+ * The local Podman/Docker client talks to the remote engine, so every
+ * runtime command (inspect, logs, exec, stats) works unchanged.
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const { isPortFree, freePort } = require('./ports');
+const { normalizeArch } = require('./images');
+
+const SSH_PORT = 22;
+const CONNECT_TIMEOUT = 10; // seconds
+const REOPEN_DELAYS = [2000, 5000, 15000, 30000, 60000];
+
+// user@host, or host alone to use the SSH default user
+function destination(remote) {
+  return remote.user ? `${remote.user}@${remote.host}` : remote.host;
+}
+
+// ssh options shared by tests and tunnels; never prompts for passwords or host keys
+function sshArgs(remote) {
+  const args = [
+    '-o', 'BatchMode=yes',
+    '-o', `ConnectTimeout=${CONNECT_TIMEOUT}`,
+    // Trust a host on first use like the podman/docker clients need, but refuse changed keys
+    '-o', 'StrictHostKeyChecking=accept-new',
+    '-p', String(remote.port || SSH_PORT)
+  ];
+  if (remote.identityFile) args.push('-i', remote.identityFile);
+  return args;
+}
+
+// Runtime command that drives the remote engine with the local client
+function runtimeCommand(runtime, remote) {
+  const url = `ssh://${destination(remote)}:${remote.port || SSH_PORT}`;
+  if (runtime.engine === 'docker') {
+    // Docker's ssh helper uses ~/.ssh/config and the agent for keys
+    return `${runtime.bin} -H ${url}`;
+  }
+  const identity = remote.identityFile ? ` --identity "${remote.identityFile}"` : '';
+  return `${runtime.bin} --url ${url}${remote.socket || ''}${identity}`;
+}
+
+// Docker's ssh helper takes no key option, only ~/.ssh/config and the agent
+function remoteEngineError(remote, engine) {
+  if (engine === 'docker' && remote.identityFile) {
+    return 'Docker can\'t use a key file for remote hosts. Clear the key field and add the key ' +
+      'to the SSH agent or to ~/.ssh/config (IdentityFile) instead.';
+  }
+  return null;
+}
+
+function runSsh(remote, command, timeout = 30000) {
+  return new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+    const child = spawn('ssh', [...sshArgs(remote), destination(remote), command]);
+    const timer = setTimeout(() => child.kill(), timeout);
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => { stderr += err.message; });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ ok: code === 0, stdout: stdout.trim(), stderr: stderr.trim() });
+    });
+  });
+}
+
+// Friendlier text for SSH failures
+function describeSshError(message) {
+  const text = String(message || '');
+  if (/ENOENT/.test(text)) return 'No ssh client found. Install OpenSSH and try again.';
+  if (/Permission denied/i.test(text)) {
+    return 'SSH login was refused. Check the user and key (password logins are not supported).';
+  }
+  if (/REMOTE HOST IDENTIFICATION HAS CHANGED|Host key verification failed/i.test(text)) {
+    return 'The host key changed since the last connection. Check ~/.ssh/known_hosts.';
+  }
+  if (/Connection refused|timed out|No route to host|Could not resolve hostname/i.test(text)) {
+    return `Cannot reach the host: ${text.split('\n').pop()}`;
+  }
+  return text.split('\n').pop() || 'SSH connection failed';
+}
+
+// `ssh -v` output without its debug lines
+function withoutDebug(text) {
+  return text.split('\n').filter(line => !/^(debug\d:|OpenSSH_)/.test(line)).join('\n').trim();
+}
+
+// Log in, check the engine and find { socket, arch }; resolves { ok, message, socket, arch }
+async function testConnection(remote, engine) {
+  const engineError = remoteEngineError(remote, engine);
+  if (engineError) return { ok: false, message: engineError };
+
+  if (engine === 'docker') {
+    const result = await runSsh(remote, "docker version --format '{{.Server.Arch}}'");
+    if (!result.ok) {
+      return { ok: false, message: /docker: (command )?not found/.test(result.stderr)
+        ? 'Docker is not installed on the host' : describeSshError(result.stderr) };
+    }
+    const arch = normalizeArch(result.stdout);
+    return { ok: true, message: `Docker on ${remote.host} (${arch})`, socket: null, arch };
+  }
+
+  const result = await runSsh(remote,
+    "podman info --format '{{.Host.RemoteSocket.Path}}|{{.Host.RemoteSocket.Exists}}|{{.Host.Arch}}'");
+  if (!result.ok) {
+    return { ok: false, message: /podman: (command )?not found/.test(result.stderr)
+      ? 'Podman is not installed on the host' : describeSshError(result.stderr) };
+  }
+  const [socketUrl, exists, hostArch] = result.stdout.split('\n').pop().split('|');
+  const socket = socketUrl.replace(/^unix:\/\//, '');
+  const arch = normalizeArch(hostArch);
+  if (exists !== 'true') {
+    return {
+      ok: false,
+      socket,
+      arch,
+      message: `The Podman API socket is not enabled on ${remote.host}. Run there: ` +
+        'systemctl --user enable --now podman.socket && loginctl enable-linger $USER'
+    };
+  }
+  return { ok: true, message: `Podman on ${remote.host} (${arch})`, socket, arch };
+}
+
+// SSH port forwards for one profile: a free local port per remote port, since
+// the remote ports may be taken here (e.g. by the container itself on a localhost
+// host). Reopens with backoff while wanted; emits 'state' (state, error).
+class SshTunnel extends EventEmitter {
+  constructor(remote, ports) {
+    super();
+    this.remote = remote;
+    this.ports = ports;
+    this.localPorts = null; // name -> local port, kept across reopens while free
+    this.process = null;
+    this.starting = false;
+    this.state = 'closed'; // 'connecting', 'open', 'down' or 'closed'
+    this.error = null;
+    this.wanted = false;
+    this.attempt = 0;
+    this.timer = null;
+  }
+
+  // Same host and ports, so an open tunnel can be kept
+  matches(remote, ports) {
+    return JSON.stringify([remote, ports]) === JSON.stringify([this.remote, this.ports]);
+  }
+
+  open() {
+    this.wanted = true;
+    if (this.process || this.timer || this.starting) return;
+
+    this.setState('connecting', null);
+    this.starting = true;
+    this.pickLocalPorts().then((localPorts) => {
+      this.starting = false;
+      if (!this.wanted) return this.setState('closed', null);
+      this.localPorts = localPorts;
+      this.connect();
+    }, (err) => {
+      this.starting = false;
+      this.setState('down', `No free local port: ${err.message}`);
+      if (this.wanted) this.scheduleReopen();
+    });
+  }
+
+  // The previous mapping if all its ports are still free, else new ones
+  async pickLocalPorts() {
+    if (this.localPorts) {
+      const free = await Promise.all(Object.values(this.localPorts).map(port => isPortFree(port, '127.0.0.1')));
+      if (free.every(Boolean)) return this.localPorts;
+    }
+    const localPorts = {};
+    for (const name of Object.keys(this.ports)) {
+      localPorts[name] = await freePort('127.0.0.1');
+    }
+    return localPorts;
+  }
+
+  connect() {
+    const forwards = Object.entries(this.ports)
+      .flatMap(([name, port]) => ['-L', `127.0.0.1:${this.localPorts[name]}:127.0.0.1:${port}`]);
+    const args = [
+      ...sshArgs(this.remote),
+      '-N',
+      // Debug output says when every forward is bound
+      '-v',
+      '-o', 'ExitOnForwardFailure=yes',
+      '-o', 'ServerAliveInterval=15',
+      '-o', 'ServerAliveCountMax=3',
+      ...forwards,
+      destination(this.remote)
+    ];
+
+    let stderr = '';
+    const child = spawn('ssh', args);
+    this.process = child;
+    // Login or forwarding that hangs counts as a failure
+    const timer = setTimeout(() => child.kill(), (CONNECT_TIMEOUT + 5) * 1000);
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-8192);
+      // ssh exits on a failed forward (ExitOnForwardFailure) before this line
+      if (this.process === child && this.state !== 'open' && /Entering interactive session/.test(stderr)) {
+        clearTimeout(timer);
+        this.attempt = 0;
+        this.setState('open', null);
+      }
+    });
+    child.on('error', (err) => { stderr += err.message; });
+    child.on('close', () => {
+      clearTimeout(timer);
+      if (this.process !== child) return;
+      this.process = null;
+      if (!this.wanted) return this.setState('closed', null);
+      this.setState('down', describeSshError(withoutDebug(stderr)));
+      this.scheduleReopen();
+    });
+  }
+
+  scheduleReopen() {
+    const delay = REOPEN_DELAYS[Math.min(this.attempt++, REOPEN_DELAYS.length - 1)];
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.wanted) this.open();
+    }, delay);
+  }
+
+  close() {
+    this.wanted = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.process) {
+      this.process.kill();
+    } else {
+      this.setState('closed', null);
+    }
+  }
+
+  setState(state, error) {
+    if (state === this.state && error === this.error) return;
+    this.state = state;
+    this.error = error;
+    this.emit('state', state, error);
+  }
+}
+
+module.exports = {
+  SSH_PORT,
+  destination,
+  sshArgs,
+  runtimeCommand,
+  remoteEngineError,
+  testConnection,
+  describeSshError,
+  SshTunnel
+};
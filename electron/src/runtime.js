@@ -0,0 +1,186 @@
+/**
+ * MT5 Server - Container Runtime
+ *
+ * Handles:
+ * 1. Detecting Podman, Docker or a user-chosen binary
+ * 2. Telling the engines apart from their version output
+ * 3. Normalizing output that differs between them (times, sizes, states)
+ * 4. Turning engine connection errors into actionable messages
+ * 5. Splitting runtime commands (a binary plus remote connection flags) for spawn()
+ */
+
+const { exec } = require('child_process');
+const path = require('path');
+
+const ENGINES = ['podman', 'docker'];
+
+// Usual install locations; the bare name searches PATH
+function candidatePaths(engine, platform = process.platform) {
+  if (platform === 'win32') {
+    return engine === 'podman' ? [
+      'C:\\Program Files\\RedHat\\Podman\\podman.exe',  // Podman Desktop Windows
+      path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Podman', 'podman.exe'),
+      'podman'
+    ] : [
+      'docker' // Docker Desktop puts it on PATH
+    ];
+  }
+  return engine === 'podman' ? [
+    '/opt/homebrew/bin/podman',      // Homebrew ARM64
+    '/usr/local/bin/podman',          // Homebrew Intel
+    '/opt/podman/bin/podman',         // Podman Desktop
+    '/usr/bin/podman',                // Linux
+    'podman'
+  ] : [
+    '/opt/homebrew/bin/docker',
+    '/usr/local/bin/docker',          // Docker Desktop (macOS)
+    '/usr/bin/docker',                // Docker Engine (Linux)
+    'docker'
+  ];
+}
+
+function run(command, timeout = 15000) {
+  return new Promise((resolve) => {
+    exec(command, { timeout }, (error, stdout, stderr) => resolve({
+      ok: !error,
+      stdout: (stdout || '').trim(),
+      stderr: (stderr || (error && error.message) || '').trim()
+    }));
+  });
+}
+
+// Friendlier text for the errors users actually hit
+function describeError(message) {
+  const text = String(message || '');
+  if (/Cannot connect to the Docker daemon|docker daemon is not running|error during connect/i.test(text)) {
+    return 'Docker is not running. Start Docker Desktop (or `sudo systemctl start docker`) and try again.';
+  }
+  if (/permission denied.*docker\.sock/i.test(text)) {
+    return 'No permission to use Docker. Add your user to the "docker" group, then log out and back in.';
+  }
+  if (/Cannot connect to Podman|podman machine/i.test(text)) {
+    return 'The Podman machine is not running. Start it with `podman machine start` and try again.';
+  }
+  return text.split('\n')[0];
+}
+
+// Podman prints Go's time format ("2024-06-01 12:00:00.123 +0000 UTC"), Docker RFC3339
+function parseTime(value) {
+  if (!value) return null;
+  const goTime = value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d+)? ([+-]\d{2})(\d{2})/);
+  const iso = goTime
+    ? `${goTime[1]}T${goTime[2]}${(goTime[3] || '').slice(0, 4)}${goTime[4]}:${goTime[5]}`
+    : value;
+  const time = Date.parse(iso);
+  // Zero times ("0001-01-01...") mean "never started"
+  return Number.isNaN(time) || time <= 0 ? null : new Date(time).toISOString();
+}
+
+// Podman reports decimal units ("512.3MB"), Docker binary ones ("488.6MiB")
+function parseSize(value) {
+  const match = String(value || '').trim().match(/^([\d.]+)\s*([kKMGT]?)(i?)B$/);
+  if (!match) return null;
+  const base = match[3] ? 1024 : 1000;
+  const power = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase());
+  return Math.round(parseFloat(match[1]) * base ** power);
+}
+
+// spawn() arguments of a runtime command: "podman --url ssh://h --identity \"a b\"" ->
+// ['podman', '--url', 'ssh://h', '--identity', 'a b']
+function splitCommand(command) {
+  return (String(command).match(/"[^"]*"|\S+/g) || []).map(part => part.replace(/^"(.*)"$/, '$1'));
+}
+
+// Map Podman-only container states onto Docker's set
+function normalizeState(state) {
+  const aliases = { configured: 'created', initialized: 'created', stopped: 'exited' };
+  return aliases[state] || state || null;
+}
+
+class ContainerRuntime {
+  constructor(engine, bin, version) {
+    this.engine = engine;
+    this.bin = bin;
+    this.version = version;
+  }
+
+  // Podman runs containers in a VM on macOS/Windows; Docker Desktop manages its own
+  get needsMachine() {
+    return this.engine === 'podman' && ['darwin', 'win32'].includes(process.platform);
+  }
+
+  get label() {
+    return `${this.engine === 'docker' ? 'Docker' : 'Podman'} ${this.version}`;
+  }
+
+  // Docker is a client for a daemon that may be stopped or unreachable
+  async checkEngine() {
+    if (this.engine !== 'docker') return;
+    const result = await run(`${this.bin} info --format "{{.ServerVersion}}"`);
+    if (!result.ok) {
+      throw new Error(describeError(result.stderr));
+    }
+  }
+
+  toJSON() {
+    return { engine: this.engine, bin: this.bin, version: this.version };
+  }
+
+  // Which engine a binary is; podman-docker shims report themselves as podman
+  static async identify(bin) {
+    const result = await run(`${bin} --version`);
+    const match = result.ok && result.stdout.match(/^(podman|docker)(?:\.exe)? version ([^\s,]+)/i);
+    return match ? new ContainerRuntime(match[1].toLowerCase(), bin, match[2]) : null;
+  }
+
+  // Find a runtime for a preference { engine: auto|podman|docker, path };
+  // extraPaths are tried after the usual Podman locations (bundled Podman)
+  static async detect(preference = {}, extraPaths = []) {
+    const engine = preference.engine || 'auto';
+
+    if (preference.path) {
+      const runtime = await ContainerRuntime.identify(preference.path);
+      if (!runtime) {
+        throw new Error(`${preference.path} is not a Podman or Docker binary`);
+      }
+      if (engine !== 'auto' && runtime.engine !== engine) {
+        throw new Error(`${preference.path} is ${runtime.engine}, not ${engine}`);
+      }
+      await runtime.checkEngine();
+      return runtime;
+    }
+
+    let lastError = null;
+    for (const candidate of ENGINES.filter(e => engine === 'auto' || e === engine)) {
+      const paths = candidatePaths(candidate).concat(candidate === 'podman' ? extraPaths : []);
+      for (const bin of paths) {
+        const runtime = await ContainerRuntime.identify(bin);
+        if (!runtime || runtime.engine !== candidate) continue;
+        try {
+          await runtime.checkEngine();
+          return runtime;
+        } catch (err) {
+          // An installed but stopped Docker only matters if nothing else works
+          lastError = err;
+        }
+      }
+    }
+
+    if (lastError) throw lastError;
+    const error = new Error(engine === 'auto'
+      ? 'Neither Podman nor Docker was found'
+      : `${engine === 'docker' ? 'Docker' : 'Podman'} was not found`);
+    error.notFound = true;
+    throw error;
+  }
+}
+
+ContainerRuntime.ENGINES = ENGINES;
+ContainerRuntime.candidatePaths = candidatePaths;
+ContainerRuntime.describeError = describeError;
+ContainerRuntime.parseTime = parseTime;
+ContainerRuntime.parseSize = parseSize;
+ContainerRuntime.normalizeState = normalizeState;
+ContainerRuntime.splitCommand = splitCommand;
+
+module.exports = ContainerRuntime;
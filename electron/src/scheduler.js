@@ -0,0 +1,144 @@
+/**
+ * MT5 Server - Trading Session Scheduler
+ *
+ * Handles:
+ * 1. Weekly open windows in a given timezone (e.g. Sun 22:00 - Fri 22:00 UTC)
+ * 2. Holiday dates on which the market stays closed
+ * 3. A warm-up lead time so the terminal is logged in before the open
+ * 4. 'change' events when containers should start or stop, and the next action
+ *
+ * Only transitions act: a container stopped by hand inside a window stays
+ * stopped until the next scheduled start. The state at launch or after a
+ * schedule edit is taken as given, so neither starts nor stops anything.
+ */
+
+const EventEmitter = require('events');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TICK_INTERVAL = 30000;
+const MINUTE = 60000;
+const HORIZON = 14 * 24 * 60; // Minutes searched for the next action
+
+// "Sun 22:00" -> minute of the week (0 = Sunday 00:00), or null
+function parseSlot(text) {
+  const match = /^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s+(\d{1,2}):(\d{2})$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  const hours = Number(match[2]);
+  const minutes = Number(match[3]);
+  if (hours > 23 || minutes > 59) return null;
+  return DAYS.indexOf(match[1].toLowerCase()) * 1440 + hours * 60 + minutes;
+}
+
+class Scheduler extends EventEmitter {
+  constructor(settings = {}) {
+    super();
+    this.timer = null;
+    this.configure(settings);
+  }
+
+  // { enabled, timezone, windows: [{ start, end }], holidays: [YYYY-MM-DD], warmup (minutes) }
+  configure(settings) {
+    this.enabled = Boolean(settings.enabled);
+    this.timezone = settings.timezone || 'UTC';
+    this.windows = (settings.windows || [])
+      .map(w => ({ start: parseSlot(w.start), end: parseSlot(w.end) }))
+      .filter(w => w.start !== null && w.end !== null && w.start !== w.end);
+    this.holidays = new Set(settings.holidays || []);
+    this.warmup = (settings.warmup || 0) * MINUTE;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    // Only later flips of the new schedule act
+    this.state = this.enabled ? this.shouldRun() : null;
+    this.cache = null;
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  start() {
+    if (this.timer || !this.enabled) return;
+    this.state = this.shouldRun();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Date and minute of the week in the schedule's timezone
+  wallClock(date) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) parts[type] = value;
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minute: DAYS.indexOf(parts.weekday.toLowerCase()) * 1440 + Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  // Whether the market is open at `date`
+  isOpen(date = new Date()) {
+    const clock = this.wallClock(date);
+    if (this.holidays.has(clock.date)) return false;
+    return this.windows.some(({ start, end }) => (start < end
+      ? clock.minute >= start && clock.minute < end
+      : clock.minute >= start || clock.minute < end)); // Window wraps past Saturday
+  }
+
+  // Open, or opening within the warm-up time
+  shouldRun(date = new Date()) {
+    return this.isOpen(date) || (this.warmup > 0 && this.isOpen(new Date(date.getTime() + this.warmup)));
+  }
+
+  // Next { time, action: 'start'|'stop' } within two weeks, or null
+  nextAction(from = new Date()) {
+    if (!this.enabled) return null;
+    if (this.cache && from >= this.cache.from && from < this.cache.until) return this.cache.next;
+
+    const running = this.shouldRun(from);
+    const first = Math.ceil((from.getTime() + 1) / MINUTE) * MINUTE;
+    let next = null;
+    for (let i = 0; i < HORIZON && !next; i++) {
+      const time = new Date(first + i * MINUTE);
+      if (this.shouldRun(time) !== running) {
+        next = { time, action: running ? 'stop' : 'start' };
+      }
+    }
+
+    // Nothing changes before the next action (or the end of the search)
+    this.cache = { from, until: next ? next.time : new Date(first + HORIZON * MINUTE), next };
+    return next;
+  }
+
+  // Emit 'change' (running, reason) when the desired state flips
+  tick() {
+    if (!this.enabled) return;
+    const now = new Date();
+    const running = this.shouldRun(now);
+    if (running === this.state) return;
+
+    this.state = running;
+    const open = this.isOpen(now);
+    let reason;
+    if (running) {
+      reason = open ? 'market open' : 'warm-up before the open';
+    } else {
+      reason = this.holidays.has(this.wallClock(now).date) ? 'holiday' : 'market closed';
+    }
+    this.emit('change', running, reason);
+  }
+}
+
+Scheduler.parseSlot = parseSlot;
+
+module.exports = Scheduler;
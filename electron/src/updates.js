@@ -0,0 +1,388 @@
+/**
+ * MT5 Server - Image Updates
+ *
+ * Handles:
+ * 1. Checking a registry (Docker Registry HTTP API v2) for newer image tags
+ * 2. Reading the changelog label and digest of the candidate image
+ * 3. Pulling it in the background with progress
+ * 4. Remembering the previous image for rollback and pruning old ones
+ */
+
+const { exec, spawn } = require('child_process');
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const fs = require('fs');
+const ContainerRuntime = require('./runtime');
+
+const MANIFEST_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json'
+].join(', ');
+
+// Labels that may carry release notes, most specific first
+const CHANGELOG_LABELS = ['com.avyaktha.changelog', 'org.opencontainers.image.description'];
+
+// "eightcap-arm64-1.2.0" -> flavor "eightcap-arm64", version [1, 2, 0]
+function parseTag(tag) {
+  const match = String(tag).match(/^(.*?)(?:-v?(\d+(?:\.\d+)*))?$/);
+  return {
+    flavor: match[1],
+    version: match[2] ? match[2].split('.').map(Number) : null
+  };
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// "host:5000/avyaktha-mt5:tag" -> { name: "host:5000/avyaktha-mt5", tag: "tag" }
+function splitImageRef(ref) {
+  const withoutDigest = ref.split('@')[0];
+  const colon = withoutDigest.lastIndexOf(':');
+  return colon > withoutDigest.lastIndexOf('/')
+    ? { name: withoutDigest.slice(0, colon), tag: withoutDigest.slice(colon + 1) }
+    : { name: withoutDigest, tag: 'latest' };
+}
+
+function request(url, options = {}) {
+  const { headers = {}, method = 'GET', redirects = 3 } = options;
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, { method, headers, timeout: 15000 }, (res) => {
+      // Blob downloads are usually redirected to storage
+      if ([301, 302, 307, 308].includes(res.statusCode) && res.headers.location && redirects > 0) {
+        res.resume();
+        const next = new URL(res.headers.location, url).toString();
+        // Don't send registry credentials to the storage host
+        const { Authorization, ...rest } = headers;
+        resolve(request(next, { ...options, headers: new URL(next).host === new URL(url).host ? headers : rest, redirects: redirects - 1 }));
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out contacting ${new URL(url).host}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Minimal registry client; anonymous bearer tokens cover public registries
+class RegistryClient {
+  constructor(registry, repository) {
+    this.base = registry.replace(/\/+$/, '');
+    this.repository = repository;
+    this.token = null;
+  }
+
+  get host() {
+    return new URL(this.base).host;
+  }
+
+  async get(urlPath, accept) {
+    const headers = { Accept: accept || 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    let res = await request(`${this.base}${urlPath}`, { headers });
+    if (res.status === 401 && !this.token && await this.authenticate(res.headers['www-authenticate'])) {
+      headers.Authorization = `Bearer ${this.token}`;
+      res = await request(`${this.base}${urlPath}`, { headers });
+    }
+    if (res.status !== 200) {
+      throw new Error(`Registry returned ${res.status} for ${urlPath}`);
+    }
+    return res;
+  }
+
+  async authenticate(challenge) {
+    const match = /^Bearer\s+(.*)$/i.exec(challenge || '');
+    if (!match) return false;
+
+    const params = {};
+    for (const [, key, value] of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+      params[key] = value;
+    }
+    if (!params.realm) return false;
+
+    const url = new URL(params.realm);
+    if (params.service) url.searchParams.set('service', params.service);
+    url.searchParams.set('scope', params.scope || `repository:${this.repository}:pull`);
+
+    const res = await request(url.toString());
+    if (res.status !== 200) return false;
+    const body = JSON.parse(res.body.toString());
+    this.token = body.token || body.access_token || null;
+    return Boolean(this.token);
+  }
+
+  async tags() {
+    const res = await this.get(`/v2/${this.repository}/tags/list`);
+    return JSON.parse(res.body.toString()).tags || [];
+  }
+
+  // Digest, creation time and labels of a tag for one architecture
+  async inspect(tag, architecture) {
+    const res = await this.get(`/v2/${this.repository}/manifests/${tag}`, MANIFEST_TYPES);
+    const digest = res.headers['docker-content-digest'] || null;
+    let manifest = JSON.parse(res.body.toString());
+
+    // Multi-arch tags point at an index; follow the entry for our architecture
+    if (manifest.manifests) {
+      const entry = manifest.manifests.find(m => m.platform && m.platform.architecture === architecture);
+      if (!entry) {
+        throw new Error(`${tag} has no ${architecture} image`);
+      }
+      const platformRes = await this.get(`/v2/${this.repository}/manifests/${entry.digest}`, MANIFEST_TYPES);
+      manifest = JSON.parse(platformRes.body.toString());
+    }
+
+    const configRes = await this.get(`/v2/${this.repository}/blobs/${manifest.config.digest}`, '*/*');
+    const imageConfig = JSON.parse(configRes.body.toString());
+    const labels = (imageConfig.config && imageConfig.config.Labels) || {};
+    const changelogLabel = CHANGELOG_LABELS.find(label => labels[label]);
+
+    return {
+      tag,
+      digest,
+      created: imageConfig.created || null,
+      architecture: imageConfig.architecture || architecture,
+      changelog: changelogLabel ? labels[changelogLabel] : null,
+      size: (manifest.layers || []).reduce((total, layer) => total + (layer.size || 0), 0)
+    };
+  }
+}
+
+class ImageUpdater extends EventEmitter {
+  constructor(options) {
+    super();
+    this.getRuntime = options.getRuntime;
+    this.stateFile = path.join(options.userDataPath, 'updates.json');
+    this.configure(options.settings || {});
+
+    this.timer = null;
+    this.checking = false;
+    this.pulls = new Map(); // image ref -> { process, percent }
+  }
+
+  configure(settings) {
+    this.settings = {
+      registry: settings.registry || null,
+      repository: settings.repository || 'avyaktha-mt5',
+      autoCheck: settings.autoCheck !== false,
+      checkInterval: settings.checkInterval || 24
+    };
+
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.settings.registry);
+  }
+
+  // Periodic background checks
+  start() {
+    if (this.timer || !this.enabled || !this.settings.autoCheck) return;
+    this.timer = setInterval(() => this.emit('due'), this.settings.checkInterval * 3600 * 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Newest image for a profile's current image, or null when it is up to date
+  async check(imageName) {
+    if (!this.enabled) {
+      throw new Error('No update registry configured');
+    }
+
+    const client = new RegistryClient(this.settings.registry, this.settings.repository);
+    const current = splitImageRef(imageName);
+    const { flavor, version } = parseTag(current.tag);
+    const local = await this.localImage(imageName);
+    const architecture = local.architecture || (process.arch === 'arm64' ? 'arm64' : 'amd64');
+
+    const candidates = (await client.tags())
+      .map(tag => ({ tag, ...parseTag(tag) }))
+      .filter(candidate => candidate.flavor === flavor);
+
+    // Prefer a higher version; otherwise a rebuilt image under the same tag
+    const newer = candidates
+      .filter(candidate => candidate.version && (!version || compareVersions(candidate.version, version) > 0))
+      .sort((a, b) => compareVersions(b.version, a.version))[0];
+    const sameTag = candidates.find(candidate => candidate.tag === current.tag);
+
+    let result = null;
+    if (newer) {
+      result = await client.inspect(newer.tag, architecture);
+    } else if (sameTag) {
+      const remote = await client.inspect(sameTag.tag, architecture);
+      const alreadyHave = remote.digest && local.digests.some(d => d.endsWith(remote.digest));
+      const rebuilt = !local.created || (remote.created && Date.parse(remote.created) > Date.parse(local.created));
+      if (!alreadyHave && rebuilt) result = remote;
+    }
+
+    const update = result && { ...result, current: imageName, imageRef: `${client.host}/${this.settings.repository}:${result.tag}` };
+    this.saveState({ lastCheck: new Date().toISOString() });
+    return update;
+  }
+
+  async localImage(imageName) {
+    const runtime = this.getRuntime();
+    const output = await this.run(
+      `${runtime.bin} image inspect --format "{{json .RepoDigests}}|{{.Created}}|{{.Architecture}}" ${imageName}`);
+    if (!output) return { digests: [], created: null, architecture: null };
+
+    const [digests, created, architecture] = output.split('|');
+    return {
+      digests: JSON.parse(digests || '[]') || [],
+      created: ContainerRuntime.parseTime(created),
+      architecture: architecture || null
+    };
+  }
+
+  isPulling(imageRef) {
+    return this.pulls.has(imageRef);
+  }
+
+  // Pull in the background; emits 'progress' and resolves once the image is local
+  pull(imageRef) {
+    if (this.pulls.has(imageRef)) {
+      return this.pulls.get(imageRef).promise;
+    }
+
+    const runtime = this.getRuntime();
+    const args = ['pull'];
+    // Plain-HTTP registries (e.g. a local test registry) need TLS off for Podman;
+    // Docker allows localhost by default and reads insecure-registries from its daemon
+    if (this.settings.registry.startsWith('http:') && runtime.engine === 'podman') {
+      args.push('--tls-verify=false');
+    }
+    args.push(imageRef);
+
+    const pull = { percent: 0 };
+    pull.promise = new Promise((resolve, reject) => {
+      const child = spawn(runtime.bin, args);
+      pull.process = child;
+
+      const seen = new Set();
+      const done = new Set();
+      let output = '';
+      let buffer = '';
+      const onData = (data) => {
+        buffer += data;
+        const lines = buffer.split(/\r?\n|\r/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          output = `${output}${line}\n`.slice(-4000);
+          // Podman: "Copying blob <id> [...]" / "... done"; Docker: "<id>: Pulling fs layer" / "Pull complete"
+          const podman = line.match(/Copying blob (?:sha256:)?([a-f0-9]{12})/);
+          const docker = line.match(/^([a-f0-9]{12}): (.*)$/);
+          const layer = podman ? podman[1] : docker && docker[1];
+          if (!layer) continue;
+          seen.add(layer);
+          if (/done|skipped|already exists/i.test(line) || (docker && /Pull complete|Already exists/.test(docker[2]))) {
+            done.add(layer);
+          }
+          pull.percent = Math.min(99, Math.round((done.size / seen.size) * 100));
+          this.emit('progress', { imageRef, percent: pull.percent, message: `${done.size}/${seen.size} layers` });
+        }
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+
+      child.on('close', (code) => {
+        this.pulls.delete(imageRef);
+        if (code === 0) {
+          this.emit('progress', { imageRef, percent: 100, message: 'Downloaded' });
+          resolve(imageRef);
+        } else {
+          const error = new Error(ContainerRuntime.describeError(output.trim().split('\n').pop() || `exit code ${code}`));
+          this.emit('progress', { imageRef, percent: 0, message: `Failed: ${error.message}` });
+          reject(error);
+        }
+      });
+      child.on('error', (err) => {
+        this.pulls.delete(imageRef);
+        reject(err);
+      });
+    });
+
+    this.pulls.set(imageRef, pull);
+    return pull.promise;
+  }
+
+  cancel(imageRef) {
+    const pull = this.pulls.get(imageRef);
+    if (pull) pull.process.kill();
+  }
+
+  // Remember the image a profile ran before an update, for rollback
+  recordApplied(profileId, previous, current) {
+    const state = this.getState();
+    const history = state.history || [];
+    history.unshift({ time: new Date().toISOString(), profileId, from: previous, to: current });
+    this.saveState({
+      previous: { ...(state.previous || {}), [profileId]: previous },
+      history: history.slice(0, 50)
+    });
+  }
+
+  // Remove images of this repository that no profile uses, keeping rollback images
+  async prune(inUse) {
+    const runtime = this.getRuntime();
+    const keep = new Set([...inUse, ...Object.values(this.getState().previous || {})]);
+    const output = await this.run(`${runtime.bin} images --format "{{.Repository}}:{{.Tag}}"`);
+    const removable = (output || '').split('\n')
+      .map(line => line.trim())
+      .filter(ref => ref && !ref.endsWith(':<none>'))
+      .filter(ref => splitImageRef(ref).name.split('/').pop() === this.settings.repository)
+      .filter(ref => !keep.has(ref));
+
+    const removed = [];
+    for (const ref of removable) {
+      if ((await this.run(`${runtime.bin} rmi ${ref}`)) !== null) removed.push(ref);
+    }
+    // Layers left untagged by earlier pulls
+    await this.run(`${runtime.bin} image prune -f`);
+    return removed;
+  }
+
+  run(command) {
+    return new Promise((resolve) => {
+      exec(command, { timeout: 120000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+    });
+  }
+
+  getState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  saveState(changes) {
+    const state = { ...this.getState(), ...changes };
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+}
+
+ImageUpdater.RegistryClient = RegistryClient;
+ImageUpdater.parseTag = parseTag;
+ImageUpdater.compareVersions = compareVersions;
+ImageUpdater.splitImageRef = splitImageRef;
+
+module.exports = ImageUpdater;
@@ -0,0 +1,120 @@
+/**
+ * MT5 Server - Resource Usage
+ *
+ * Handles:
+ * 1. Sampling CPU and memory of running containers
+ * 2. The last hour of samples per profile for the usage window
+ * 3. Warnings when a container stays near its CPU or memory limit
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { getStats } = require('./container-info');
+
+const SAMPLE_INTERVAL = 30000;
+const MAX_SAMPLES = 120; // One hour at 30s
+
+// Samples in a row over the threshold before warning, so backtest spikes don't
+const SUSTAINED = 2;
+
+// Usage has to drop this far below the threshold before warning again
+const REARM_MARGIN = 10;
+
+class UsageMonitor extends EventEmitter {
+  constructor(options) {
+    super();
+    this.getRuntime = options.getRuntime; // profile -> runtime command, or null without a runtime
+    this.getSettings = options.getSettings;
+    this.getProfiles = options.getProfiles; // profiles to sample (the running ones)
+    // CPUs the containers share: the Podman machine's, or the host's
+    this.getCpuCount = options.getCpuCount || (() => os.cpus().length);
+
+    this.samples = new Map(); // profile id -> [{ time, cpuPercent, cpuOfLimit, memUsed, memLimit, memPercent }]
+    this.alerts = new Map(); // "profile id:cpu|memory" -> { over, warned }
+    this.timer = null;
+    this.sampling = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+    this.sample();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // What one container may use, in percent of a single core (stats' unit)
+  cpuCapacity() {
+    const { cpus } = this.getSettings().resources;
+    return (cpus || this.getCpuCount()) * 100;
+  }
+
+  async sample() {
+    const runtime = this.getRuntime();
+    if (!runtime || this.sampling) return;
+    this.sampling = true;
+
+    try {
+      const profiles = this.getProfiles();
+      // Stopped profiles start over with an empty history
+      for (const id of this.samples.keys()) {
+        if (!profiles.some(p => p.id === id)) this.samples.delete(id);
+      }
+
+      for (const profile of profiles) {
+        const stats = await getStats(this.getRuntime(profile), profile.containerName);
+        if (!stats) continue;
+
+        const sample = {
+          time: new Date().toISOString(),
+          ...stats,
+          cpuOfLimit: stats.cpuPercent === null ? null : Math.round(stats.cpuPercent / this.cpuCapacity() * 1000) / 10
+        };
+        const samples = this.samples.get(profile.id) || [];
+        samples.push(sample);
+        this.samples.set(profile.id, samples.slice(-MAX_SAMPLES));
+
+        this.evaluate(profile, 'memory', sample.memPercent);
+        this.evaluate(profile, 'cpu', sample.cpuOfLimit);
+      }
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  // Emit 'warning' once per episode of sustained high usage
+  evaluate(profile, kind, percent) {
+    if (percent === null || percent === undefined) return;
+    const threshold = this.getSettings().resources.warnPercent;
+    const key = `${profile.id}:${kind}`;
+    const alert = this.alerts.get(key) || { over: 0, warned: false };
+
+    if (percent >= threshold) {
+      alert.over++;
+      if (alert.over >= SUSTAINED && !alert.warned) {
+        alert.warned = true;
+        this.emit('warning', { profileId: profile.id, profileName: profile.name, kind, percent, threshold });
+      }
+    } else {
+      alert.over = 0;
+      if (percent < threshold - REARM_MARGIN) alert.warned = false;
+    }
+    this.alerts.set(key, alert);
+  }
+
+  history(profileId) {
+    return this.samples.get(profileId) || [];
+  }
+
+  latest(profileId) {
+    const samples = this.history(profileId);
+    return samples[samples.length - 1] || null;
+  }
+}
+
+UsageMonitor.SAMPLE_INTERVAL = SAMPLE_INTERVAL;
+
+module.exports = UsageMonitor;
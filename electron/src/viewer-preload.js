@@ -0,0 +1,18 @@
+/**
+ * MT5 Server - Viewer Preload Script
+ *
+ * The terminal viewer runs noVNC code served by the container, so it gets
+ * this smaller API instead of preload.js: its own session, container state,
+ * the clipboard and starting its container. The profile is the window's own;
+ * the page can't name another one.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('viewer', {
+  getSession: () => ipcRenderer.invoke('viewer:session'),
+  onState: (callback) => ipcRenderer.on('viewer:state', (event, status) => callback(status)),
+  readClipboard: () => ipcRenderer.invoke('viewer:clipboard-read'),
+  writeClipboard: (text) => ipcRenderer.invoke('viewer:clipboard-write', text),
+  start: () => ipcRenderer.invoke('viewer:start')
+});
@@ -0,0 +1,210 @@
+/**
+ * MT5 Server - Data Volumes
+ *
+ * Handles:
+ * 1. Named volumes for the Wine prefix and the MT5 data dir of each profile
+ * 2. Refreshing the Wine prefix when a profile switches images
+ * 3. Backup to and restore from a .tar.gz archive
+ * 4. Resetting a profile to the image's clean state
+ */
+
+const { exec, spawn } = require('child_process');
+const fs = require('fs');
+const zlib = require('zlib');
+const { splitCommand } = require('./runtime');
+
+const WINE_PREFIX = '/opt/wineprefix';
+// Terminal data (history, profiles, templates, MQL5 experts) lives in AppData, not next to terminal64.exe
+const DATA_DIR = `${WINE_PREFIX}/drive_c/users/root/AppData/Roaming/MetaQuotes`;
+const IMAGE_LABEL = 'mt5.image';
+// First archive entry: the image the backed-up Wine prefix was made from
+const SOURCE_ENTRY = './source-image';
+
+// Image recorded in a backup, or null for archives made before it was recorded
+function readSourceImage(file) {
+  return new Promise((resolve) => {
+    const input = fs.createReadStream(file);
+    const gunzip = zlib.createGunzip();
+    let buffer = Buffer.alloc(0);
+    const done = (image) => {
+      input.destroy();
+      gunzip.destroy();
+      resolve(image);
+    };
+    // A tar header is 512 bytes; the name fits, and the content follows
+    gunzip.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length < 1024) return;
+      const field = (start, end) => buffer.toString('utf8', start, end).replace(/\0[\s\S]*$/, '').trim();
+      if (field(0, 100) !== SOURCE_ENTRY) return done(null);
+      const size = parseInt(field(124, 136), 8);
+      done(size > 0 && size <= 512 ? field(512, 512 + size) || null : null);
+    });
+    gunzip.on('error', () => done(null));
+    gunzip.on('end', () => done(null));
+    input.on('error', () => done(null));
+    input.pipe(gunzip);
+  });
+}
+
+class VolumeManager {
+  constructor(options) {
+    this.getRuntime = options.getRuntime; // profile -> runtime command (local or over SSH)
+  }
+
+  names(profile) {
+    return {
+      wine: `${profile.containerName}-wine`,
+      data: `${profile.containerName}-data`
+    };
+  }
+
+  // `run` arguments mounting both volumes (the data volume nests inside the prefix)
+  mountArgs(profile) {
+    const { wine, data } = this.names(profile);
+    return ['-v', `${wine}:${WINE_PREFIX}`, '-v', `${data}:${DATA_DIR}`];
+  }
+
+  // Create missing volumes; a prefix made from another image is recreated so
+  // image updates reach Wine/Python, while the data volume is always kept
+  async prepare(profile) {
+    const { wine, data } = this.names(profile);
+
+    const labels = await this.labels(profile, wine);
+    if (labels && labels[IMAGE_LABEL] !== profile.imageName) {
+      console.log(`Refreshing Wine prefix of ${profile.name} for ${profile.imageName}`);
+      await this.run(profile, `volume rm -f ${wine}`);
+    }
+    if (!labels || labels[IMAGE_LABEL] !== profile.imageName) {
+      await this.run(profile, `volume create --label ${IMAGE_LABEL}=${profile.imageName} ${wine}`);
+    }
+
+    if (!(await this.labels(profile, data))) {
+      await this.run(profile, `volume create ${data}`);
+    }
+  }
+
+  // Volume labels, or null when the volume does not exist
+  async labels(profile, name) {
+    try {
+      const output = await this.run(profile, `volume inspect --format "{{json .Labels}}" ${name}`);
+      return JSON.parse(output || 'null') || {};
+    } catch {
+      return null;
+    }
+  }
+
+  // Stream both volumes out of a throwaway container into `file`, led by the
+  // prefix's image so a restore can tell whether it is stale
+  async backup(profile, file) {
+    const { wine, data } = this.names(profile);
+    const labels = await this.labels(profile, wine);
+    const source = (labels && labels[IMAGE_LABEL]) || profile.imageName;
+    // The prefix volume still holds the image's copy of the data dir under the mount point;
+    // older images kept the config, broker login included, in the prefix
+    const script = [
+      'set -e',
+      `printf '%s\\n' "$MT5_SOURCE_IMAGE" > /tmp/${SOURCE_ENTRY.slice(2)}`,
+      `tar czf - '--exclude=./wine${DATA_DIR.slice(WINE_PREFIX.length)}' ` +
+        '\'--exclude=./wine/drive_c/Program Files/*/mt5cfg.ini\' ' +
+        `-C /tmp ${SOURCE_ENTRY} -C /volumes ./wine ./data`
+    ].join('\n');
+    const args = [
+      'run', '--rm', '--entrypoint', 'sh',
+      '-e', `MT5_SOURCE_IMAGE=${source}`,
+      '-v', `${wine}:/volumes/wine:ro`,
+      '-v', `${data}:/volumes/data:ro`,
+      profile.imageName,
+      '-c', script
+    ];
+
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(file, { mode: 0o600 });
+      const child = this.spawn(profile, args);
+      let stderr = '';
+      child.stdout.pipe(out);
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        out.end(() => {
+          if (code === 0) return resolve(file);
+          fs.rmSync(file, { force: true });
+          reject(new Error(`Backup failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+        });
+      });
+    });
+  }
+
+  // Replace both volumes' contents with an archive made by backup(); the container must be stopped
+  async restore(profile, file) {
+    const { wine, data } = this.names(profile);
+    // Labels can't change after creation, so the prefix volume is recreated with
+    // the archive's image; the next start refreshes it if that isn't the profile's
+    const source = (await readSourceImage(file)) || profile.imageName;
+    await this.run(profile, `volume rm -f ${wine}`);
+    await this.run(profile, `volume create --label ${IMAGE_LABEL}=${source} ${wine}`);
+    if (!(await this.labels(profile, data))) {
+      await this.run(profile, `volume create ${data}`);
+    }
+
+    const script = [
+      'set -e',
+      'tar tzf /backup.tar.gz >/dev/null || { echo "Not a valid backup archive" >&2; exit 1; }',
+      'find /volumes/wine /volumes/data -mindepth 1 -maxdepth 1 -exec rm -rf {} +',
+      'tar xzf /backup.tar.gz -C /volumes'
+    ].join('\n');
+    const args = [
+      'run', '--rm', '-i', '--entrypoint', 'sh',
+      '-v', `${wine}:/volumes/wine`,
+      '-v', `${data}:/volumes/data`,
+      profile.imageName,
+      '-c', `cat > /backup.tar.gz\n${script}`
+    ];
+
+    return new Promise((resolve, reject) => {
+      const child = this.spawn(profile, args);
+      let stderr = '';
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) return resolve();
+        reject(new Error(`Restore failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+      });
+      fs.createReadStream(file)
+        .on('error', (err) => {
+          child.kill();
+          reject(err);
+        })
+        .pipe(child.stdin);
+    });
+  }
+
+  // Delete both volumes; the next start begins from the image's clean state
+  async reset(profile) {
+    const { wine, data } = this.names(profile);
+    await this.run(profile, `volume rm -f ${wine} ${data}`);
+  }
+
+  // Archives stream through the runtime client, so backups of remote profiles land here too
+  spawn(profile, args) {
+    const [bin, ...prefix] = splitCommand(this.getRuntime(profile));
+    return spawn(bin, [...prefix, ...args]);
+  }
+
+  run(profile, args) {
+    return new Promise((resolve, reject) => {
+      exec(`${this.getRuntime(profile)} ${args}`, { timeout: 60000 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(stderr.trim() || error.message));
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+}
+
+VolumeManager.WINE_PREFIX = WINE_PREFIX;
+VolumeManager.DATA_DIR = DATA_DIR;
+
+module.exports = VolumeManager;